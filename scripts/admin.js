@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI
+ *
+ * Operator commands for the voice skill.
+ *
+ * Usage:
+ *   node scripts/admin.js lockouts                    List locked / failing numbers
+ *   node scripts/admin.js unlock <number>             Clear a PIN lockout
+ *   node scripts/admin.js add-number <number> <name>  Allow a number (prompts for PIN)
+ *   node scripts/admin.js set-pin <number>            Set / rotate a PIN (prompts for PIN)
+ *   node scripts/admin.js migrate-pins                Hash all plaintext PINs in the config
+ *   node scripts/admin.js vad <recording> [energy] [silenceMs]
+ *                                                     Show the utterances media streams would
+ *                                                     cut from a call recording (WAV or raw mulaw)
+ *
+ * PINs are read from stdin rather than argv so they stay out of shell history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createLockoutLedger } = require('./pin-lockout');
+const { hashPin, isValidPin } = require('./pin-hash');
+const { createUtteranceDetector, pcmToMulaw } = require('./media-stream-handler');
+
+const CONFIG_PATH = process.env.VOICE_CONFIG_PATH || path.join(__dirname, '..', 'voice-config.json');
+
+let config = {};
+
+try {
+  if (fs.existsSync(CONFIG_PATH)) {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  }
+} catch (e) {
+  console.error('Warning: Could not load config file:', e.message);
+}
+
+const lockouts = createLockoutLedger({
+  maxAttempts: config.security?.pin?.maxAttempts || config.maxAttempts,
+  lockoutMinutes: config.security?.pin?.lockoutMinutes,
+});
+
+function saveConfig() {
+  const tmpPath = `${CONFIG_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, CONFIG_PATH);
+}
+
+function findNumber(number) {
+  return (config.allowedNumbers || []).find(n => n.number === number);
+}
+
+// A recording as 8 kHz mulaw: raw mulaw, or a mono WAV in mulaw or
+// 16-bit PCM at any rate (Twilio recordings are 8 kHz PCM)
+function readRecording(filePath) {
+  const data = fs.readFileSync(filePath);
+  if (data.toString('ascii', 0, 4) !== 'RIFF') {
+    return data;
+  }
+
+  let format = null;
+  for (let offset = 12; offset + 8 <= data.length;) {
+    const id = data.toString('ascii', offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    const body = data.subarray(offset + 8, offset + 8 + size);
+    if (id === 'fmt ') {
+      format = { code: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+    } else if (id === 'data' && format) {
+      if (format.channels !== 1) break;
+      if (format.code === 7 && format.sampleRate === 8000) return body;
+      if (format.code === 1 && format.bits === 16) return pcmToMulaw(body, format.sampleRate);
+      break;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error(`${filePath}: expected a mono mulaw (8 kHz) or 16-bit PCM WAV`);
+}
+
+function promptPin() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+  if (process.stdin.isTTY) {
+    process.stdout.write('PIN (6 digits): ');
+  }
+  return new Promise(resolve => {
+    rl.once('line', line => { resolve(line.trim()); rl.close(); });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+async function readNewPin() {
+  const pin = await promptPin();
+  if (!isValidPin(pin)) {
+    throw new Error('PIN must be 6 digits');
+  }
+  return pin;
+}
+
+const commands = {
+  lockouts() {
+    const entries = lockouts.list();
+    if (entries.length === 0) {
+      console.log('No locked or failing numbers.');
+      return;
+    }
+    for (const e of entries) {
+      const status = e.locked
+        ? `LOCKED until ${new Date(e.until).toISOString()} (${e.minutesLeft} min left)`
+        : `${e.failures} failed attempt(s), ${e.remaining} remaining`;
+      console.log(`  ${e.number}: ${status}`);
+    }
+  },
+
+  unlock(number) {
+    if (!number) {
+      throw new Error('Usage: admin.js unlock <number>');
+    }
+    const cleared = lockouts.clear(number);
+    console.log(cleared ? `Cleared lockout for ${number}` : `No lockout found for ${number}`);
+  },
+
+  async 'add-number'(number, ...nameParts) {
+    const name = nameParts.join(' ');
+    if (!number || !name) {
+      throw new Error('Usage: admin.js add-number <number> <name>');
+    }
+    if (!/^\+\d{6,15}$/.test(number)) {
+      throw new Error('Number must be E.164 format (+1...)');
+    }
+    if (findNumber(number)) {
+      throw new Error(`${number} is already allowed. Use set-pin to change its PIN.`);
+    }
+
+    const pin = await readNewPin();
+    config.allowedNumbers = config.allowedNumbers || [];
+    config.allowedNumbers.push({ number, name, pinHash: hashPin(pin) });
+    saveConfig();
+    console.log(`Added ${number} (${name})`);
+  },
+
+  async 'set-pin'(number) {
+    const entry = findNumber(number);
+    if (!entry) {
+      throw new Error(`${number || '(none)'} is not in allowedNumbers`);
+    }
+
+    const pin = await readNewPin();
+    entry.pinHash = hashPin(pin);
+    delete entry.pin;
+    saveConfig();
+    lockouts.clear(number);
+    console.log(`PIN updated for ${number}`);
+  },
+
+  'migrate-pins'() {
+    const plaintext = (config.allowedNumbers || []).filter(n => 'pin' in n);
+    let migrated = 0;
+    for (const entry of plaintext) {
+      if (entry.pin && !entry.pinHash) {
+        entry.pinHash = hashPin(entry.pin);
+        migrated++;
+      }
+      delete entry.pin;
+    }
+    if (plaintext.length > 0) {
+      saveConfig();
+    }
+    console.log(`Migrated ${migrated} plaintext PIN(s) in ${CONFIG_PATH}`);
+    if (migrated > 0) {
+      console.log('Remember: older backups of this file still contain the plaintext PINs.');
+    }
+  },
+
+  vad(recording, energyThreshold, silenceMs) {
+    if (!recording) {
+      throw new Error('Usage: admin.js vad <recording> [energyThreshold] [silenceMs]');
+    }
+    const audio = readRecording(recording);
+    const vad = createUtteranceDetector({
+      ...config.mediaStream?.vad,
+      ...(energyThreshold && { energyThreshold: Number(energyThreshold) }),
+      ...(silenceMs && { silenceMs: Number(silenceMs) }),
+    });
+    const { settings } = vad;
+    console.log(`Energy threshold ${settings.energyThreshold}, silence ${settings.silenceMs} ms, ` +
+      `min speech ${settings.minSpeechMs} ms, max ${settings.maxUtteranceMs} ms\n`);
+
+    const seconds = ms => (ms / 1000).toFixed(2);
+    const utterances = [];
+    const record = (utterance, endMs) => {
+      if (utterance) utterances.push({ start: endMs - utterance.length / 8, end: endMs });
+    };
+
+    for (let offset = 0; offset < audio.length; offset += 160) {
+      const frame = audio.subarray(offset, offset + 160);
+      record(vad.push(frame), (offset + frame.length) / 8);
+    }
+    record(vad.flush(), audio.length / 8);
+
+    utterances.forEach((u, i) => {
+      console.log(`  ${i + 1}. ${seconds(u.start)}s - ${seconds(u.end)}s (${seconds(u.end - u.start)}s)`);
+    });
+    console.log(`\n${utterances.length} utterance(s) in ${seconds(audio.length / 8)}s of audio`);
+  },
+};
+
+function usage() {
+  console.log('Usage: node scripts/admin.js <command> [args]\n');
+  console.log('Commands:');
+  console.log('  lockouts                    List locked / failing numbers');
+  console.log('  unlock <number>             Clear a PIN lockout');
+  console.log('  add-number <number> <name>  Allow a number (prompts for PIN)');
+  console.log('  set-pin <number>            Set / rotate a PIN (prompts for PIN)');
+  console.log('  migrate-pins                Hash all plaintext PINs in the config');
+  console.log('  vad <recording> [energy] [silenceMs]');
+  console.log('                              Show utterances a media stream would cut from a recording');
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  usage();
+  process.exit(command ? 1 : 0);
+}
+
+Promise.resolve()
+  .then(() => commands[command](...args))
+  .catch(e => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  });
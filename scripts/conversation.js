@@ -0,0 +1,135 @@
+/**
+ * Conversation Memory
+ *
+ * Keeps a bounded history of user/assistant turns on the call session so
+ * follow-ups like "and what about tomorrow?" reach the agent with context.
+ *
+ * History is limited by turn count and an approximate token budget. Turns
+ * that fall off the front are folded into a short running summary instead
+ * of being dropped, so the agent still knows what was discussed earlier.
+ *
+ * Session shape:
+ *   state.history = [{ id, role: 'user' | 'assistant', content }]
+ *   state.turnSeq = <last turn id>
+ *   state.summary = 'Earlier: ...'
+ */
+
+const DEFAULTS = {
+  maxTurns: 12,        // messages kept verbatim (user + assistant)
+  maxTokens: 1500,     // approx. budget for summary + verbatim history
+  summaryMaxChars: 800,
+  turnSummaryChars: 160,
+};
+
+/**
+ * Resolve history limits from config.conversation
+ */
+function getHistoryConfig(config) {
+  const conversation = config.conversation || {};
+  return {
+    maxTurns: conversation.maxTurns ?? DEFAULTS.maxTurns,
+    maxTokens: conversation.maxHistoryTokens ?? DEFAULTS.maxTokens,
+    summaryMaxChars: conversation.summaryMaxChars ?? DEFAULTS.summaryMaxChars,
+    turnSummaryChars: DEFAULTS.turnSummaryChars,
+  };
+}
+
+// ~4 characters per token is close enough for budgeting English/Spanish
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function historyTokens(state) {
+  return estimateTokens(state.summary) +
+    (state.history || []).reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+}
+
+function truncate(text, maxChars) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > maxChars ? clean.substring(0, maxChars - 1) + '…' : clean;
+}
+
+/**
+ * Fold turns into the running summary, keeping only its most recent part
+ */
+function summariseTurns(state, turns, limits) {
+  const lines = turns.map(turn =>
+    `${turn.role === 'user' ? 'Caller' : 'You'}: ${truncate(turn.content, limits.turnSummaryChars)}`
+  );
+
+  let summary = [state.summary, ...lines].filter(Boolean).join('\n');
+  if (summary.length > limits.summaryMaxChars) {
+    summary = summary.substring(summary.length - limits.summaryMaxChars);
+    summary = summary.substring(summary.indexOf('\n') + 1);
+  }
+  state.summary = summary;
+}
+
+/**
+ * Trim history to the configured limits, oldest turns first
+ */
+function compactHistory(state, limits) {
+  const history = state.history || [];
+  const dropped = [];
+
+  while (history.length > 2 && (history.length > limits.maxTurns || historyTokens(state) > limits.maxTokens)) {
+    dropped.push(history.shift());
+  }
+
+  if (dropped.length > 0) {
+    summariseTurns(state, dropped, limits);
+  }
+  state.history = history;
+}
+
+/**
+ * Record one turn on the session; returns the turn's id
+ */
+function appendTurn(state, role, content, limits) {
+  if (!content) return null;
+  state.history = state.history || [];
+  state.turnSeq = (state.turnSeq || 0) + 1;
+  state.history.push({ id: state.turnSeq, role, content });
+  compactHistory(state, limits);
+  return state.turnSeq;
+}
+
+/**
+ * Cut an agent reply (by turn id) down to what the caller actually heard
+ * before talking over it (barge-in on a media stream), so the agent does
+ * not assume the rest was said. Replies already folded into the summary
+ * are left alone.
+ */
+function trimReply(state, turnId, spokenText) {
+  const turn = (state.history || []).find(t => t.id === turnId);
+  if (!turn || turn.role !== 'assistant') return;
+
+  turn.content = spokenText
+    ? `${spokenText} … [interrupted by the caller]`
+    : '[interrupted by the caller before answering]';
+}
+
+/**
+ * Build the chat messages for an agent request:
+ * system prompt, summary of older turns, recent turns, new user message
+ */
+function buildMessages(systemPrompt, state, userMessage) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+
+  if (state.summary) {
+    messages.push({ role: 'system', content: `Earlier in this call:\n${state.summary}` });
+  }
+
+  messages.push(...(state.history || []).map(({ role, content }) => ({ role, content })));
+  messages.push({ role: 'user', content: userMessage });
+
+  return messages;
+}
+
+module.exports = {
+  getHistoryConfig,
+  appendTurn,
+  trimReply,
+  buildMessages,
+  compactHistory,
+};
@@ -0,0 +1,437 @@
+/**
+ * Async Answer Delivery
+ *
+ * Sends queue-worker answers to the caller over one or more channels.
+ * config.asyncResponse.method is a channel name or an ordered list:
+ *
+ *   "method": ["telegram", "sms", "webhook"]
+ *
+ * Channels are tried in order until one succeeds. With
+ * asyncResponse.fanOut the answer goes to every channel instead, and
+ * counts as delivered if at least one accepted it.
+ *
+ * Each allowedNumbers entry can carry its own preferences, used before
+ * the global asyncResponse settings:
+ *
+ *   "delivery": {
+ *     "method": ["telegram", "sms"],
+ *     "telegram": { "chatId": "123456" },
+ *     "sms": { "to": "+15551234567" },
+ *     "webhook": { "url": "https://...", "headers": {}, "secret": "..." },
+ *     "call": { "to": "+15551234567" },
+ *     "lang": "es"
+ *   }
+ *
+ * Every attempt produces a receipt:
+ *   { channel, ok, id?, error?, warning?, at }
+ *
+ * Senders share one interface and resolve to { ok, id?, error?, warning? }:
+ *   senders.<name>(message, job, config, recipient)
+ *
+ * Webhook deliveries carry a versioned JSON payload (WEBHOOK_PAYLOAD_VERSION),
+ * an Idempotency-Key that stays the same across retries of one job run,
+ * and an HMAC signature when asyncResponse.webhook.secret (or the
+ * caller's delivery.webhook.secret, or WEBHOOK_SECRET) is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAgentModel } = require('./prompts');
+const { createTwilioClient } = require('./twilio-client');
+const { requestOutboundCall, waitForOutboundCall } = require('./outbound-call');
+const { signPayload } = require('./webhook-signature');
+const { PARSE_MODES, formatTelegram, splitMessage } = require('./telegram-format');
+
+const DEFAULT_TELEGRAM_API_URL = 'https://api.telegram.org';
+
+const WEBHOOK_PAYLOAD_VERSION = 1;
+const WEBHOOK_DEFAULTS = { retries: 2, retryDelayMs: 1000, timeoutMs: 10000 };
+
+/**
+ * Key a receiver can dedupe on: one per job, or per run of a recurring job
+ */
+function idempotencyKey(job) {
+  return job.recurrence ? `${job.id}.${job.runs || 0}` : job.id;
+}
+
+/**
+ * Webhook payload, version 1. Fields from before versioning (type,
+ * query, response, caller, callerName, lang, timestamp) are unchanged.
+ */
+function buildWebhookPayload(message, job, request) {
+  const sentAt = new Date().toISOString();
+  return {
+    version: WEBHOOK_PAYLOAD_VERSION,
+    type: 'voice_query_response',
+    id: idempotencyKey(job),
+    jobId: job.id,
+    jobType: job.type || 'query',
+    run: job.recurrence ? (job.runs || 0) + 1 : undefined,
+    query: job.message,
+    response: message,
+    caller: job.callerNumber,
+    callerName: job.callerName,
+    lang: job.lang,
+    timings: {
+      queuedAt: job.queuedAt,
+      runAt: job.runAt,
+      answeredAt: job.answeredAt,
+      sentAt
+    },
+    attempt: {
+      delivery: job.attempts || 1,
+      request: request.request,
+      of: request.of
+    },
+    timestamp: sentAt
+  };
+}
+
+/**
+ * Send one message part. If Telegram rejects the formatting, send the
+ * same part again as plain text rather than failing the delivery.
+ */
+async function sendTelegramText(botUrl, chatId, part, mode) {
+  const post = async (text, parseMode) => {
+    const response = await fetch(`${botUrl}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, text, parse_mode: parseMode })
+    });
+    if (!response.ok) {
+      return { ok: false, status: response.status, error: `Telegram API error ${response.status}: ${await response.text()}` };
+    }
+    const data = await response.json().catch(() => ({}));
+    return { ok: true, id: data.result?.message_id };
+  };
+
+  const parseMode = PARSE_MODES[mode];
+  const sent = await post(formatTelegram(part, mode), parseMode);
+  if (!sent.ok && parseMode && sent.status === 400 && /can't parse entities/i.test(sent.error)) {
+    return post(formatTelegram(part, 'plain'));
+  }
+  return sent;
+}
+
+// Telegram plays MP3/M4A as audio and OGG/Opus as a voice message;
+// anything else (e.g. the WAV voice notes) goes as a document
+const TELEGRAM_FILE_METHODS = {
+  '.mp3': ['sendAudio', 'audio'],
+  '.m4a': ['sendAudio', 'audio'],
+  '.ogg': ['sendVoice', 'voice'],
+  '.oga': ['sendVoice', 'voice'],
+};
+
+async function sendTelegramFile(botUrl, chatId, filePath) {
+  const [method, field] = TELEGRAM_FILE_METHODS[path.extname(filePath).toLowerCase()] || ['sendDocument', 'document'];
+
+  let data;
+  try {
+    data = fs.readFileSync(filePath);
+  } catch (error) {
+    return { ok: false, error: error.code === 'ENOENT' ? `No file ${filePath}` : error.message };
+  }
+
+  const form = new FormData();
+  form.append('chat_id', String(chatId));
+  form.append(field, new Blob([data]), path.basename(filePath));
+
+  const response = await fetch(`${botUrl}/${method}`, { method: 'POST', body: form });
+  if (!response.ok) {
+    return { ok: false, error: `Telegram API error ${response.status}: ${await response.text()}` };
+  }
+  return { ok: true };
+}
+
+const senders = {
+  /**
+   * Send via Clawdbot Gateway - routes to user's configured channel
+   * (Telegram, WhatsApp, Discord, Signal, etc.)
+   */
+  async gateway(message, job, config, recipient) {
+    const gatewayUrl = config.asyncResponse?.gateway?.url || config.agent?.gatewayUrl || 'http://localhost:18789';
+    const gatewayToken = config.asyncResponse?.gateway?.token || config.agent?.gatewayToken;
+
+    if (!gatewayToken) {
+      return { ok: false, error: 'Gateway token not configured' };
+    }
+
+    try {
+      // Use Gateway's message endpoint to send to the user's channel
+      const response = await fetch(`${gatewayUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${gatewayToken}`
+        },
+        body: JSON.stringify({
+          model: getAgentModel(config),
+          max_tokens: 50,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a message relay. Simply output the following message exactly as provided, do not add anything.'
+            },
+            {
+              role: 'user',
+              content: `Send this message to the user:\n\n${message}`
+            }
+          ]
+        })
+      });
+
+      return response.ok ? { ok: true } : { ok: false, error: `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  },
+
+  /**
+   * Send via Telegram Bot API. The answer is rendered for
+   * telegram.parseMode (HTML unless set, see telegram-format.js) and split
+   * into several messages when long; a part Telegram cannot parse is
+   * resent as plain text. With telegram.attachAudio the job's audio file
+   * (a voice note) follows the text.
+   */
+  async telegram(message, job, config, recipient) {
+    const telegramConfig = config.asyncResponse?.telegram || {};
+    const botToken = telegramConfig.botToken || config.telegram?.botToken || process.env.TELEGRAM_BOT_TOKEN;
+    const chatId = recipient.chatId;
+    const apiUrl = (config.telegram?.apiBaseUrl || process.env.TELEGRAM_API_URL || DEFAULT_TELEGRAM_API_URL).replace(/\/$/, '');
+    const mode = telegramConfig.parseMode || 'HTML';
+
+    if (!botToken) {
+      return { ok: false, error: 'Telegram bot token not configured' };
+    }
+
+    if (!chatId) {
+      return { ok: false, error: 'Telegram chat ID not configured' };
+    }
+
+    const botUrl = `${apiUrl}/bot${botToken}`;
+    const parts = splitMessage(message, mode);
+    const ids = [];
+
+    try {
+      for (const [i, part] of parts.entries()) {
+        const sent = await sendTelegramText(botUrl, chatId, part, mode);
+        if (!sent.ok) {
+          const which = parts.length > 1 ? ` (part ${i + 1}/${parts.length})` : '';
+          return { ok: false, id: ids[0], error: `${sent.error}${which}` };
+        }
+        ids.push(sent.id);
+      }
+
+      let warning;
+      if (telegramConfig.attachAudio && job.audioFile) {
+        const audio = await sendTelegramFile(botUrl, chatId, job.audioFile);
+        if (!audio.ok) warning = `Audio not attached: ${audio.error}`;
+      }
+
+      return { ok: true, id: ids[0], warning };
+    } catch (error) {
+      return { ok: false, id: ids[0], error: error.message };
+    }
+  },
+
+  /**
+   * Send via Twilio SMS
+   */
+  async sms(message, job, config, recipient) {
+    const toNumber = recipient.smsTo;
+
+    if (!toNumber) {
+      return { ok: false, error: 'No SMS recipient (caller number or asyncResponse.sms.to)' };
+    }
+
+    try {
+      const sms = await createTwilioClient(config).sendSms({
+        to: toNumber,
+        body: message.replace(/[*_`]/g, '') // Remove markdown for SMS
+      });
+      return { ok: true, id: sms.sid };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  },
+
+  /**
+   * Send via custom webhook (POST). The body is the versioned payload
+   * (see buildWebhookPayload), signed when a secret is configured.
+   * Timeouts, network errors and 5xx are retried with backoff; 4xx is not.
+   */
+  async webhook(message, job, config, recipient) {
+    const webhookUrl = recipient.webhookUrl;
+    const options = { ...WEBHOOK_DEFAULTS, ...config.asyncResponse?.webhook };
+
+    if (!webhookUrl) {
+      return { ok: false, error: 'Webhook URL not configured' };
+    }
+
+    const tries = options.retries + 1;
+    let result;
+
+    for (let request = 1; request <= tries; request++) {
+      const body = JSON.stringify(buildWebhookPayload(message, job, { request, of: tries }));
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        ...recipient.webhookHeaders,
+        'Idempotency-Key': idempotencyKey(job),
+        'X-Voice-Timestamp': String(timestamp)
+      };
+      if (recipient.webhookSecret) {
+        headers['X-Voice-Signature'] = signPayload(recipient.webhookSecret, timestamp, body);
+      }
+
+      try {
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(options.timeoutMs)
+        });
+        result = response.ok
+          ? { ok: true }
+          : { ok: false, error: `HTTP ${response.status}`, retry: response.status >= 500 };
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        result = { ok: false, error: timedOut ? `Timed out after ${options.timeoutMs / 1000}s` : error.message, retry: true };
+      }
+
+      if (result.ok || !result.retry || request === tries) break;
+      await new Promise(resolve => setTimeout(resolve, options.retryDelayMs * 2 ** (request - 1)));
+    }
+
+    return result.ok ? { ok: true, id: idempotencyKey(job) } : { ok: false, error: result.error };
+  },
+
+  /**
+   * Call the caller back and read the answer after their PIN (or a
+   * one-time code texted first). The webhook server places the call; we
+   * wait for the outcome so an unanswered call falls through to the next
+   * channel. With call.voicemail the answer is left on an answering machine.
+   * Only the answer is spoken: the text header is for reading, not listening.
+   */
+  async call(message, job, config, recipient) {
+    const callConfig = config.asyncResponse?.call || {};
+    const apiUrl = callConfig.apiUrl || `http://localhost:${config.port || 3001}`;
+    const token = config.outbound?.apiToken || process.env.OUTBOUND_API_TOKEN;
+
+    if (!token) {
+      return { ok: false, error: 'Outbound API token not configured' };
+    }
+
+    if (!recipient.callTo) {
+      return { ok: false, error: 'No number to call' };
+    }
+
+    try {
+      const placed = await requestOutboundCall(apiUrl, token, {
+        to: recipient.callTo,
+        message: (job.answer || message).replace(/[*_`]/g, '').replace(/\p{Extended_Pictographic}/gu, ''),
+        lang: job.lang,
+        requirePin: true,
+        oneTimeCode: callConfig.auth === 'code',
+        voicemail: !!callConfig.voicemail
+      });
+      if (!placed.success) {
+        return { ok: false, error: placed.error };
+      }
+
+      const result = await waitForOutboundCall(apiUrl, token, placed.callSid, {
+        timeoutMs: callConfig.waitMs,
+        intervalMs: callConfig.pollMs
+      });
+      if (result.outcome === 'delivered' || result.outcome === 'voicemail') {
+        return { ok: true, id: placed.callSid };
+      }
+      return { ok: false, id: placed.callSid, error: `Call ${result.reason || result.outcome}` };
+    } catch (error) {
+      // Webhook server unreachable
+      return { ok: false, error: error.message };
+    }
+  }
+};
+
+/**
+ * A caller's own delivery preferences (allowedNumbers[].delivery)
+ */
+function getCallerDelivery(config, callerNumber) {
+  const entry = (config.allowedNumbers || []).find(n => n.number === callerNumber);
+  return entry?.delivery || {};
+}
+
+/**
+ * Where and how to deliver a job's answer: the caller's preferences,
+ * then the job, then the global asyncResponse settings
+ */
+function getRecipient(config, job) {
+  const own = getCallerDelivery(config, job.callerNumber);
+  const global = config.asyncResponse || {};
+  const method = own.method || global.method || 'telegram';
+
+  return {
+    channels: Array.isArray(method) ? method : [method],
+    fanOut: !!(own.fanOut ?? global.fanOut),
+    chatId: own.telegram?.chatId || job.chatId || global.telegram?.chatId || config.telegram?.defaultChatId,
+    smsTo: own.sms?.to || job.callerNumber || global.sms?.to,
+    webhookUrl: own.webhook?.url || global.webhook?.url,
+    webhookHeaders: own.webhook?.headers || global.webhook?.headers || {},
+    webhookSecret: own.webhook?.secret || global.webhook?.secret || process.env.WEBHOOK_SECRET,
+    callTo: own.call?.to || job.callerNumber,
+    lang: own.lang,
+  };
+}
+
+/**
+ * Ordered channel list from config.asyncResponse.method
+ */
+function getChannels(config) {
+  return getRecipient(config, {}).channels;
+}
+
+/**
+ * Create a deliverer for config
+ *
+ * deliver(message, job) -> { delivered, receipts }
+ */
+function createDelivery(config) {
+  async function sendVia(channel, message, job, recipient) {
+    const sender = senders[channel];
+    const result = sender
+      ? await sender(message, job, config, recipient)
+      : { ok: false, error: `Unknown channel: ${channel}` };
+
+    const receipt = { channel, ok: !!result.ok, at: new Date().toISOString() };
+    if (result.id !== undefined) receipt.id = result.id;
+    if (!result.ok) receipt.error = result.error || 'failed';
+    if (result.warning) receipt.warning = result.warning;
+    return receipt;
+  }
+
+  return {
+    deliver: async (message, job) => {
+      const recipient = getRecipient(config, job);
+      const receipts = [];
+
+      for (const channel of recipient.channels) {
+        const receipt = await sendVia(channel, message, job, recipient);
+        receipts.push(receipt);
+        if (receipt.ok && !recipient.fanOut) break;
+      }
+
+      return { delivered: receipts.some(r => r.ok), receipts };
+    },
+  };
+}
+
+module.exports = {
+  WEBHOOK_PAYLOAD_VERSION,
+  senders,
+  buildWebhookPayload,
+  getChannels,
+  getCallerDelivery,
+  getRecipient,
+  createDelivery,
+};
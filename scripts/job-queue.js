@@ -0,0 +1,259 @@
+/**
+ * Job Queue
+ *
+ * Local queue shared by the webhook server (producer) and any number of
+ * queue workers (consumers). One JSON file per job:
+ *
+ *   <dir>/pending/<id>.json   waiting (scheduled for runAt, or backing off until nextAttemptAt)
+ *   <dir>/claimed/<id>.json   in progress, owned by one worker
+ *   <dir>/corrupt/<id>.json   unreadable files, set aside for inspection
+ *
+ * Files are written to a temp name and renamed into place, so readers
+ * never see half-written jobs. A worker claims a job by renaming it from
+ * pending/ to claimed/; rename is atomic, so exactly one worker wins.
+ * The owner touches its claim while working (heartbeat), so only claims
+ * of a worker that died go stale.
+ * Finished jobs are removed; the worker archives them (processed /
+ * dead-letter JSONL).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const QUEUE_DIR = process.env.QUEUE_DIR || path.join(__dirname, '..', 'queue');
+
+function newJobId() {
+  // Time-ordered so pending/ lists oldest first
+  return `${Date.now().toString(36).padStart(9, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Create a queue over a directory
+ */
+function createJobQueue(options = {}) {
+  const dir = options.dir || QUEUE_DIR;
+  const dirs = {
+    pending: path.join(dir, 'pending'),
+    claimed: path.join(dir, 'claimed'),
+    corrupt: path.join(dir, 'corrupt'),
+  };
+  Object.values(dirs).forEach(d => fs.mkdirSync(d, { recursive: true }));
+
+  function fileFor(state, id) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id || '')) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(dirs[state], `${id}.json`);
+  }
+
+  function write(file, job) {
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job));
+    fs.renameSync(tmpPath, file);
+  }
+
+  // Parse a job file; unreadable ones are moved aside, not retried forever
+  function read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null; // claimed by someone else
+      try {
+        fs.renameSync(file, path.join(dirs.corrupt, path.basename(file)));
+        console.error(`Job queue: moved unreadable ${path.basename(file)} to corrupt/ (${e.message})`);
+      } catch (moveError) {
+        // Another worker moved it first
+      }
+      return null;
+    }
+  }
+
+  function ids(state) {
+    return fs.readdirSync(dirs[state])
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  function isDue(job, now) {
+    return [job.runAt, job.nextAttemptAt].every(at => !at || Date.parse(at) <= now);
+  }
+
+  return {
+    dir,
+
+    /**
+     * Add a job; returns it with id, status and attempts filled in
+     */
+    enqueue: (job) => {
+      const entry = {
+        status: 'pending',
+        attempts: 0,
+        ...job,
+        id: job.id || newJobId(),
+        queuedAt: new Date().toISOString(),
+      };
+      write(fileFor('pending', entry.id), entry);
+      return entry;
+    },
+
+    /**
+     * Claim the oldest due job not in `skip`, or null if none. The
+     * returned job is marked in-progress and owned by this process until
+     * released or completed.
+     */
+    claim: (skip = new Set()) => {
+      const now = Date.now();
+
+      for (const id of ids('pending')) {
+        if (skip.has(id)) continue;
+        const pendingFile = fileFor('pending', id);
+        const job = read(pendingFile);
+        if (!job || !isDue(job, now)) continue;
+
+        const claimedFile = fileFor('claimed', id);
+        try {
+          fs.renameSync(pendingFile, claimedFile);
+        } catch (e) {
+          if (e.code === 'ENOENT') continue; // another worker won
+          throw e;
+        }
+
+        // Re-read: the file we parsed may have been replaced before the rename
+        const claimed = read(claimedFile);
+        if (!claimed) continue;
+        claimed.status = 'in-progress';
+        claimed.claimedAt = new Date().toISOString();
+        claimed.claimedBy = process.pid;
+        write(claimedFile, claimed);
+        return claimed;
+      }
+
+      return null;
+    },
+
+    /**
+     * Persist progress on a claimed job (e.g. a generated answer)
+     */
+    update: (job) => {
+      write(fileFor('claimed', job.id), job);
+    },
+
+    /**
+     * Renew the lease on a claimed job that is still being worked on
+     */
+    heartbeat: (job) => {
+      const now = new Date();
+      try {
+        fs.utimesSync(fileFor('claimed', job.id), now, now);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e; // finished meanwhile
+      }
+    },
+
+    /**
+     * Hand a claimed job back to pending/ (with its changes, e.g. a backoff)
+     */
+    release: (job) => {
+      job.status = 'pending';
+      delete job.claimedAt;
+      delete job.claimedBy;
+      write(fileFor('pending', job.id), job);
+      fs.rmSync(fileFor('claimed', job.id), { force: true });
+    },
+
+    /**
+     * Remove a claimed job that is finished (delivered or failed)
+     */
+    complete: (job) => {
+      fs.rmSync(fileFor('claimed', job.id), { force: true });
+    },
+
+    /**
+     * Drop a pending job (cancelled by the caller). Returns false if it
+     * is not pending, e.g. a worker claimed it first.
+     */
+    remove: (id) => {
+      try {
+        fs.rmSync(fileFor('pending', id));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    },
+
+    /**
+     * Return claims older than leaseMs to pending/ (their worker died).
+     * Returns the recovered ids.
+     */
+    recoverStale: (leaseMs) => {
+      const now = Date.now();
+      const recovered = [];
+
+      for (const id of ids('claimed')) {
+        const file = fileFor('claimed', id);
+        let stat;
+        try {
+          stat = fs.statSync(file);
+        } catch (e) {
+          continue;
+        }
+        if (now - stat.mtimeMs < leaseMs) continue;
+
+        const job = read(file);
+        if (!job) continue;
+        job.status = 'pending';
+        delete job.claimedAt;
+        delete job.claimedBy;
+        write(fileFor('pending', id), job);
+        fs.rmSync(file, { force: true });
+        recovered.push(id);
+      }
+
+      return recovered;
+    },
+
+    /**
+     * Jobs in a state ('pending' | 'claimed'), oldest first
+     */
+    list: (state = 'pending') => ids(state)
+      .map(id => read(fileFor(state, id)))
+      .filter(Boolean),
+
+    /**
+     * Move jobs from an old pending-queries.jsonl into the queue, skipping
+     * lines that do not parse. Returns { imported, skipped }.
+     */
+    importJsonl: (filePath) => {
+      if (!fs.existsSync(filePath)) return { imported: 0, skipped: 0 };
+
+      // Take the file out of the producer's way before reading it
+      const importing = `${filePath}.${process.pid}.importing`;
+      fs.renameSync(filePath, importing);
+
+      let imported = 0;
+      let skipped = 0;
+      for (const line of fs.readFileSync(importing, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const job = JSON.parse(line);
+          const id = /^[A-Za-z0-9_-]+$/.test(job.id || '') ? job.id : newJobId();
+          write(fileFor('pending', id), { attempts: 0, ...job, id, status: 'pending' });
+          imported++;
+        } catch (e) {
+          skipped++;
+        }
+      }
+
+      fs.rmSync(importing, { force: true });
+      return { imported, skipped };
+    },
+  };
+}
+
+module.exports = {
+  QUEUE_DIR,
+  createJobQueue,
+};
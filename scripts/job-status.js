@@ -0,0 +1,106 @@
+/**
+ * Job Status
+ *
+ * What a caller can hear about their own jobs by phone: jobs still in
+ * the queue (pending/ and claimed/) and the ones that finished recently,
+ * read from the worker's processed and dead-letter logs.
+ *
+ *   list(callerNumber) -> { open: [...], finished: [...] }
+ *
+ * Open jobs:     { id, task, status: 'pending' | 'scheduled' | 'in-progress', runAt?, recurrence? }
+ * Finished jobs: { id, task, status: 'delivered' | 'failed', answer?, at }
+ *
+ * Only pending jobs can be cancelled; one a worker has claimed is
+ * already running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROCESSED_PATH = process.env.PROCESSED_PATH || path.join(__dirname, '..', 'processed-queries.jsonl');
+const DEAD_LETTER_PATH = process.env.DEAD_LETTER_PATH || path.join(__dirname, '..', 'failed-queries.jsonl');
+
+function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Create a status view over a job queue and the worker's logs
+ *
+ * options: { queue, processedPath, deadLetterPath, recent, recentHours }
+ */
+function createJobStatus(options) {
+  const queue = options.queue;
+  const processedPath = options.processedPath || PROCESSED_PATH;
+  const deadLetterPath = options.deadLetterPath || DEAD_LETTER_PATH;
+  const recent = options.recent || 3;
+  const recentMs = (options.recentHours || 48) * 3600000;
+
+  function openJobs(callerNumber) {
+    const claimed = queue.list('claimed').map(job => ({ ...job, status: 'in-progress' }));
+    return [...claimed, ...queue.list('pending')]
+      .filter(job => job.callerNumber === callerNumber)
+      .map(job => ({
+        id: job.id,
+        task: job.message,
+        status: job.status === 'in-progress' ? 'in-progress' : (job.runAt ? 'scheduled' : 'pending'),
+        runAt: job.runAt,
+        recurrence: job.recurrence,
+      }));
+  }
+
+  function finishedJobs(callerNumber) {
+    const since = Date.now() - recentMs;
+    const delivered = readJsonl(processedPath).map(job => ({ job, at: job.processedAt || job.deliveredAt }));
+    const failed = readJsonl(deadLetterPath).map(job => ({ job, at: job.failedAt }));
+
+    return [...delivered, ...failed]
+      .filter(({ job, at }) => job.callerNumber === callerNumber && Date.parse(at) >= since)
+      .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+      .slice(0, recent)
+      .map(({ job, at }) => ({
+        id: job.id,
+        task: job.message,
+        status: job.status === 'failed' ? 'failed' : 'delivered',
+        answer: job.answer,
+        at,
+      }));
+  }
+
+  return {
+    list: (callerNumber) => ({
+      open: openJobs(callerNumber),
+      finished: finishedJobs(callerNumber),
+    }),
+
+    /**
+     * Cancel one of the caller's pending jobs.
+     * Returns 'cancelled', 'running' (already claimed) or 'missing'.
+     */
+    cancel: (callerNumber, id) => {
+      const job = queue.list('pending').find(j => j.id === id);
+      if (!job || job.callerNumber !== callerNumber) {
+        return queue.list('claimed').some(j => j.id === id && j.callerNumber === callerNumber) ? 'running' : 'missing';
+      }
+      // A worker may claim it between the lookup and the removal
+      return queue.remove(id) ? 'cancelled' : 'running';
+    },
+  };
+}
+
+module.exports = {
+  PROCESSED_PATH,
+  DEAD_LETTER_PATH,
+  createJobStatus,
+};
@@ -0,0 +1,87 @@
+/**
+ * Languages
+ *
+ * A language is a config entity: everything the skill needs to talk and
+ * listen in it lives under config.languages.<code>. Adding a language is a
+ * config change (plus a menu entry):
+ *
+ *   "languages": {
+ *     "pt": {
+ *       "name": "Português",
+ *       "promptName": "PORTUGUESE",       // used in agent system prompts
+ *       "locale": "pt-BR",                // <Say>/<Gather language>
+ *       "voice": "Polly.Camila-Neural",   // TTS voice
+ *       "stt": { "twilio": "pt-BR", "deepgram": "pt-BR", "groq": "pt", "openai": "pt", "whisper-cpp": "pt" },
+ *       "tts": { "elevenlabs": "<voice id>" }  // media stream voices
+ *     }
+ *   }
+ *
+ * Built-in entries for en/es are merged under the config, and the legacy
+ * config.voices map still overrides voices.
+ */
+
+const DEFAULT_LANGUAGES = {
+  en: {
+    name: 'English',
+    promptName: 'ENGLISH',
+    locale: 'en-US',
+    voice: 'Polly.Matthew-Neural',
+    stt: { twilio: 'en-US', deepgram: 'en-US', groq: 'en', openai: 'en', 'whisper-cpp': 'en' },
+  },
+  es: {
+    name: 'Español',
+    promptName: 'SPANISH',
+    locale: 'es-US',
+    voice: 'Polly.Andres-Neural',
+    stt: { twilio: 'es-US', deepgram: 'es', groq: 'es', openai: 'es', 'whisper-cpp': 'es' },
+  },
+};
+
+/**
+ * All configured languages, keyed by code
+ */
+function getLanguages(config) {
+  const configured = config.languages || {};
+  const codes = new Set([...Object.keys(DEFAULT_LANGUAGES), ...Object.keys(configured)]);
+  const languages = {};
+
+  for (const code of codes) {
+    const base = DEFAULT_LANGUAGES[code] || {};
+    const entry = configured[code] || {};
+    const locale = entry.locale || base.locale || code;
+
+    languages[code] = {
+      code,
+      name: entry.name || base.name || code,
+      promptName: entry.promptName || base.promptName || (entry.name || code).toUpperCase(),
+      locale,
+      voice: entry.voice || config.voices?.[code] || base.voice || 'alice',
+      stt: { twilio: locale, ...base.stt, ...entry.stt },
+      tts: { ...base.tts, ...entry.tts },
+    };
+  }
+
+  return languages;
+}
+
+/**
+ * Default language code (config.defaultLanguage, else English)
+ */
+function getDefaultLanguage(config) {
+  return config.defaultLanguage || 'en';
+}
+
+/**
+ * Resolve a language code to its entity, falling back to the default
+ */
+function getLanguage(config, code) {
+  const languages = getLanguages(config);
+  return languages[code] || languages[getDefaultLanguage(config)] || languages.en;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  getLanguages,
+  getLanguage,
+  getDefaultLanguage,
+};
@@ -6,10 +6,60 @@
  * 
  * Architecture:
  *   Phone → Twilio → WebSocket → This Handler → STT Provider → Agent
+ *
+ * The webhook server registers each call (registerSession) before it
+ * returns <Connect><Stream>, with the language and an onTranscript
+ * callback. If no STT provider can start, or the last one in the chain
+ * fails mid-stream, the socket is closed, and Twilio continues with the
+ * TwiML after <Connect>.
+ *
+ * Streams are bidirectional: speak(callSid, text) synthesizes the reply
+ * (config.ttsProvider), converts it to 8 kHz mu-law and sends it back as
+ * 20 ms `media` frames, one sentence at a time, each followed by a
+ * `mark`. Twilio echoes a mark once the audio before it has played, so
+ * we know how much of the reply the caller heard. If the caller starts
+ * talking mid-reply (a Deepgram transcript, or inbound audio louder than
+ * mediaStream.bargeIn.energyThreshold for minFrames frames) we send
+ * `clear` to drop the queued audio and report the sentences played.
+ *
+ * Batch providers (Groq, OpenAI-compatible, whisper.cpp) get their
+ * audio through an energy-based
+ * utterance detector (mediaStream.vad): speech starts when a frame is
+ * louder than energyThreshold and ends after silenceMs of quieter
+ * frames. Each utterance is transcribed on its own and handed to
+ * onTranscript while the call goes on. `npm run admin -- vad <file>`
+ * runs the same detector over a recording to tune the thresholds.
+ *
+ * config.sttProvider may be a chain (e.g. deepgram, groq, twilio). If the
+ * current provider fails to start, errors mid-stream or fails to
+ * transcribe, the next available one takes over and is given the audio
+ * received since the last transcript, so the caller does not have to
+ * repeat themselves. Reaching "twilio" or the end of the chain closes
+ * the socket (the Gather fallback). Providers that keep failing are
+ * skipped for a while (stt-health.js).
  */
 
 const WebSocket = require('ws');
-const { createStreamingSession, transcribeBatch, getLanguageCode } = require('./stt-providers');
+const { createStreamingSession, transcribeBatch, getLanguageCode, getProviderChain, providers: sttProviders } = require('./stt-providers');
+const { createSttHealth } = require('./stt-health');
+const { synthesize } = require('./tts-providers');
+
+const FRAME_BYTES = 160; // 20 ms of 8 kHz mu-law
+const MAX_REPLAY_FRAMES = 1500; // 30 s of audio kept for failover
+
+const VAD_DEFAULTS = {
+  energyThreshold: 500,  // RMS of decoded 16-bit samples
+  silenceMs: 700,        // quiet time that ends an utterance
+  minSpeechMs: 200,      // shorter bursts (clicks, coughs) are dropped
+  maxUtteranceMs: 15000, // long monologues are cut here
+  preRollMs: 200,        // audio kept from just before speech starts
+};
+
+const BARGE_IN_DEFAULTS = {
+  enabled: true,
+  energyThreshold: 800, // RMS of decoded 16-bit samples
+  minFrames: 10,        // consecutive loud frames (200 ms)
+};
 
 /**
  * Create a Media Stream WebSocket server
@@ -23,13 +73,209 @@ function createMediaStreamServer(config, options = {}) {
   // Active sessions by streamSid
   const sessions = new Map();
 
+  // Open streams by callSid: { ws, streamSid, playback }
+  const streams = new Map();
+  const bargeIn = { ...BARGE_IN_DEFAULTS, ...config.mediaStream?.bargeIn };
+  let markCount = 0;
+
+  // STT providers in order of preference, with shared health counters
+  const chain = getProviderChain(config);
+  const health = options.health || createSttHealth(config.sttHealth);
+
+  function send(stream, message) {
+    if (stream.ws.readyState === WebSocket.OPEN) {
+      stream.ws.send(JSON.stringify({ streamSid: stream.streamSid, ...message }));
+    }
+  }
+
+  // Drop the reply's queued audio; returns the stopped playback
+  function stopPlayback(stream) {
+    const playback = stream.playback;
+    if (!playback) return null;
+
+    playback.interrupted = true;
+    stream.playback = null;
+    send(stream, { event: 'clear' });
+    return playback;
+  }
+
+  // The caller talked over the reply: stop it and report what was heard
+  function interrupt(stream) {
+    const playback = stopPlayback(stream);
+    if (!playback) return;
+
+    const spoken = playback.segments.filter(s => s.played).map(s => s.text).join(' ');
+    console.log(`Barge-in on ${stream.callSid} after: "${spoken}"`);
+    if (playback.onInterrupted) {
+      playback.onInterrupted(spoken);
+    }
+  }
+
   wss.on('connection', (ws, req) => {
     console.log('New Media Stream connection');
     
     let streamSid = null;
     let callSid = null;
     let sttSession = null;
-    let audioBuffer = []; // For batch mode (Groq)
+    let stream = null;
+    // The registration this stream started with; by the time it stops the
+    // webhook server may have registered the call's next turn
+    let registration = null;
+    let loudFrames = 0;
+    let provider = null;
+    // Bumped on failover, so queued batch requests of the failed provider are dropped
+    let generation = 0;
+    // Audio not yet covered by a transcript, replayed to the next provider
+    let pending = [];
+    let frameCount = 0;
+    let stopped = false;
+    // Batch providers: utterances are transcribed one after another
+    const vad = createUtteranceDetector(config.mediaStream?.vad);
+    let transcribing = Promise.resolve();
+
+    const isBatch = name => sttProviders[name]?.type === 'batch';
+
+    function deliver(text, result) {
+      const sessionData = sessions.get(callSid) || {};
+      if (text?.trim() && sessionData.onTranscript) {
+        sessionData.onTranscript(text, result);
+      }
+    }
+
+    function languageFor(name) {
+      return getLanguageCode(name, (sessions.get(callSid) || {}).lang || 'en', config);
+    }
+
+    function transcribeUtterance(audio, endFrame) {
+      const name = provider;
+      const current = generation;
+      transcribing = transcribing.then(async () => {
+        if (current !== generation) return;
+        const started = Date.now();
+        try {
+          const result = await transcribeBatch(name, mulawToWav(audio, sttProviders[name].sampleRate), config, {
+            language: languageFor(name),
+          });
+          if (current !== generation) return;
+
+          health.recordSuccess(name, Date.now() - started);
+          pending = pending.filter(f => f.index > endFrame);
+          console.log(`[${name}] Transcribed: ${result.text}`);
+          deliver(result.text, result);
+        } catch (error) {
+          if (current === generation) {
+            failover(error);
+          }
+        }
+      });
+    }
+
+    // Close the streaming session, if any. sttSession is dropped first so
+    // its close event is not taken for the provider hanging up
+    function closeSession() {
+      const session = sttSession;
+      sttSession = null;
+      if (session) {
+        session.close();
+      }
+    }
+
+    // The current provider failed: hand over to the next one in the chain
+    function failover(error) {
+      console.error(`[${provider}] Error:`, error?.message || error);
+      health.recordError(provider, error);
+      generation++;
+      closeSession();
+      vad.flush();
+      listenWith(health.pick(chain, provider));
+    }
+
+    // Start transcribing with a provider, replaying the audio received
+    // since the last transcript. With none left (or "twilio"), close the
+    // socket: Twilio then moves on to the TwiML after <Connect> (the
+    // Gather fallback)
+    function listenWith(name) {
+      provider = name;
+      if (!name || name === 'twilio' || !sttProviders[name]) {
+        console.log(`No streaming STT provider left for ${callSid}, falling back to Gather`);
+        ws.close();
+        return;
+      }
+      console.log(`[${name}] Listening on ${streamSid}`);
+
+      if (!isBatch(name)) {
+        try {
+          sttSession = createStreamingSession(name, config, { language: languageFor(name) });
+        } catch (error) {
+          failover(error);
+          return;
+        }
+
+        // Final segments add up to one utterance; hand it over when the
+        // provider detects the end of speech
+        let utterance = [];
+        sttSession.onTranscript((result) => {
+          if (result.text && bargeIn.enabled) {
+            interrupt(stream);
+          }
+          if (result.isFinal && result.text) {
+            utterance.push(result.text);
+          }
+          if (result.speechFinal && utterance.length > 0) {
+            const text = utterance.join(' ');
+            utterance = [];
+            pending = [];
+            health.recordSuccess(name);
+            console.log(`[${name}] Final: ${text}`);
+            deliver(text, result);
+          }
+        });
+
+        sttSession.onError((error) => {
+          if (provider === name) {
+            failover(error);
+          }
+        });
+
+        // The provider hanging up without an error is a failure too
+        const session = sttSession;
+        sttSession.onClose(() => {
+          if (sttSession === session && !stopped) {
+            failover(new Error(`${name} closed the stream`));
+          }
+        });
+      }
+
+      for (const { frame, index } of pending) {
+        hear(frame, index);
+      }
+      if (stopped) {
+        flush();
+      }
+    }
+
+    // The stream is ending: transcribe what the caller was still saying
+    function flush() {
+      if (isBatch(provider)) {
+        const rest = vad.flush();
+        if (rest) {
+          transcribeUtterance(rest, frameCount);
+        }
+      }
+    }
+
+    // One frame of caller audio to the current provider
+    function hear(frame, index) {
+      if (sttSession) {
+        sttSession.send(frame);
+      } else if (isBatch(provider)) {
+        // Transcribe each utterance once the caller pauses
+        const utterance = vad.push(frame);
+        if (utterance) {
+          transcribeUtterance(utterance, index);
+        }
+      }
+    }
 
     ws.on('message', async (message) => {
       try {
@@ -43,82 +289,67 @@ function createMediaStreamServer(config, options = {}) {
           case 'start':
             streamSid = data.start.streamSid;
             callSid = data.start.callSid;
+            stream = { ws, streamSid, callSid, playback: null };
+            streams.set(callSid, stream);
+            registration = sessions.get(callSid);
             
-            const sessionData = sessions.get(callSid) || {};
-            const lang = sessionData.lang || 'en';
-            const provider = config.sttProvider || 'deepgram';
-
-            console.log(`Stream started: ${streamSid}, provider: ${provider}, lang: ${lang}`);
-
-            // Initialize STT session based on provider
-            if (provider === 'deepgram') {
-              sttSession = createStreamingSession('deepgram', config, {
-                language: getLanguageCode('deepgram', lang),
-              });
-
-              sttSession.onTranscript((result) => {
-                if (result.isFinal && result.text) {
-                  console.log(`[Deepgram] Final: ${result.text}`);
-                  
-                  // Send transcript back to session handler
-                  if (sessionData.onTranscript) {
-                    sessionData.onTranscript(result.text, result);
-                  }
-                }
-              });
-
-              sttSession.onError((error) => {
-                console.error('[Deepgram] Error:', error);
-              });
-            }
-            // For Groq, we collect audio and transcribe at the end
+            console.log(`Stream started: ${streamSid}, providers: ${chain.join(' > ')}, lang: ${(sessions.get(callSid) || {}).lang || 'en'}`);
+            listenWith(health.pick(chain));
             break;
 
           case 'media':
             // Decode base64 audio payload (mulaw 8kHz)
             const audioChunk = Buffer.from(data.media.payload, 'base64');
 
-            if (config.sttProvider === 'deepgram' && sttSession) {
-              // Stream to Deepgram
-              sttSession.send(audioChunk);
-            } else if (config.sttProvider === 'groq') {
-              // Buffer for batch transcription
-              audioBuffer.push(audioChunk);
+            if (stream?.playback && bargeIn.enabled) {
+              loudFrames = frameEnergy(audioChunk) >= bargeIn.energyThreshold ? loudFrames + 1 : 0;
+              if (loudFrames >= bargeIn.minFrames) {
+                loudFrames = 0;
+                interrupt(stream);
+              }
+            }
+
+            pending.push({ frame: audioChunk, index: ++frameCount });
+            if (pending.length > MAX_REPLAY_FRAMES) {
+              pending.shift();
+            }
+            hear(audioChunk, frameCount);
+            break;
+
+          case 'mark': {
+            // Audio up to this mark has played. Marks for audio dropped
+            // by `clear` come back too, but no longer match a playback
+            const playback = stream?.playback;
+            const segment = playback?.segments.find(s => s.mark === data.mark?.name);
+            if (!segment) break;
+
+            segment.played = true;
+            if (playback.complete && playback.segments.every(s => s.played)) {
+              stream.playback = null;
             }
             break;
+          }
 
           case 'stop':
             console.log(`Stream stopped: ${streamSid}`);
 
-            // If using Groq, transcribe the buffered audio
-            if (config.sttProvider === 'groq' && audioBuffer.length > 0) {
-              try {
-                const fullAudio = Buffer.concat(audioBuffer);
-                const wavAudio = mulawToWav(fullAudio);
-                
-                const sessionData = sessions.get(callSid) || {};
-                const lang = sessionData.lang || 'en';
-
-                const result = await transcribeBatch('groq', wavAudio, config, {
-                  language: getLanguageCode('groq', lang),
-                });
-
-                console.log(`[Groq] Transcribed: ${result.text}`);
-
-                if (sessionData.onTranscript) {
-                  sessionData.onTranscript(result.text, result);
-                }
-              } catch (error) {
-                console.error('[Groq] Transcription error:', error);
-              }
+            // Wait for the last transcripts, including retries queued by
+            // a failover while waiting
+            stopped = true;
+            flush();
+            for (let queued = null; queued !== transcribing;) {
+              queued = transcribing;
+              await queued;
             }
 
             // Cleanup
-            if (sttSession) {
-              sttSession.close();
+            closeSession();
+            if (sessions.get(callSid) === registration) {
+              sessions.delete(callSid);
+            }
+            if (streams.get(callSid) === stream) {
+              streams.delete(callSid);
             }
-            audioBuffer = [];
-            sessions.delete(callSid);
             break;
 
           default:
@@ -131,9 +362,10 @@ function createMediaStreamServer(config, options = {}) {
 
     ws.on('close', () => {
       console.log('Media Stream connection closed');
-      if (sttSession) {
-        sttSession.close();
+      if (stream && streams.get(callSid) === stream) {
+        streams.delete(callSid);
       }
+      closeSession();
     });
 
     ws.on('error', (error) => {
@@ -144,6 +376,10 @@ function createMediaStreamServer(config, options = {}) {
   return {
     wss,
     sessions,
+    health,
+
+    // The provider a new stream would start with (null: none available)
+    pickProvider: () => health.pick(chain),
 
     // Register a call session for transcript callbacks
     registerSession: (callSid, sessionData) => {
@@ -155,6 +391,60 @@ function createMediaStreamServer(config, options = {}) {
       return sessions.get(callSid);
     },
 
+    /**
+     * Speak text to the caller over their open stream. Resolves to
+     * { ok: true } once the audio is queued, or { ok: false, error } if
+     * there is no open stream or the first sentence cannot be
+     * synthesized (nothing was sent, so the caller can fall back to
+     * <Say>). options.onInterrupted(spokenText) is called on barge-in.
+     */
+    speak: async (callSid, text, options = {}) => {
+      const stream = streams.get(callSid);
+      if (!stream || stream.ws.readyState !== WebSocket.OPEN) {
+        return { ok: false, error: 'No open media stream' };
+      }
+
+      // A new reply replaces one still playing; that is not a barge-in
+      stopPlayback(stream);
+      const playback = { segments: [], interrupted: false, complete: false, onInterrupted: options.onInterrupted };
+      stream.playback = playback;
+
+      const sentences = splitSentences(text);
+      for (const [i, sentence] of sentences.entries()) {
+        let audio;
+        try {
+          const { pcm, sampleRate } = await synthesize(config.ttsProvider || 'elevenlabs', sentence, config, { lang: options.lang });
+          audio = pcmToMulaw(pcm, sampleRate);
+        } catch (error) {
+          console.error('[TTS] Error:', error.message);
+          if (i === 0) {
+            if (stream.playback === playback) stream.playback = null;
+            return { ok: false, error: error.message };
+          }
+          break;
+        }
+
+        if (playback.interrupted || stream.playback !== playback) {
+          return { ok: true, interrupted: true };
+        }
+
+        for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+          send(stream, { event: 'media', media: { payload: audio.subarray(offset, offset + FRAME_BYTES).toString('base64') } });
+        }
+        const mark = `reply-${++markCount}`;
+        send(stream, { event: 'mark', mark: { name: mark } });
+        playback.segments.push({ text: sentence, mark, played: false });
+      }
+
+      playback.complete = true;
+      return { ok: true };
+    },
+
+    // Whether the agent is still talking on this call
+    isSpeaking: (callSid) => {
+      return !!streams.get(callSid)?.playback;
+    },
+
     // Close server
     close: () => {
       wss.close();
@@ -164,17 +454,22 @@ function createMediaStreamServer(config, options = {}) {
 
 /**
  * Convert mulaw 8kHz to WAV format
- * Required for Groq Whisper API
+ * Required for batch STT (Groq Whisper API). Providers that need another
+ * rate (whisper.cpp reads only 16 kHz) get it linearly interpolated.
  */
-function mulawToWav(mulawBuffer) {
-  const sampleRate = 8000;
+function mulawToWav(mulawBuffer, sampleRate = 8000) {
   const numChannels = 1;
   const bitsPerSample = 16;
 
-  // Decode mulaw to PCM
-  const pcmSamples = new Int16Array(mulawBuffer.length);
-  for (let i = 0; i < mulawBuffer.length; i++) {
-    pcmSamples[i] = mulawDecode(mulawBuffer[i]);
+  // Decode mulaw to PCM, resampling from 8 kHz if needed
+  const ratio = 8000 / sampleRate;
+  const pcmSamples = new Int16Array(Math.floor(mulawBuffer.length / ratio));
+  for (let i = 0; i < pcmSamples.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const current = mulawDecode(mulawBuffer[index]);
+    const next = index + 1 < mulawBuffer.length ? mulawDecode(mulawBuffer[index + 1]) : current;
+    pcmSamples[i] = Math.round(current + (next - current) * (position - index));
   }
 
   // Create WAV header
@@ -206,6 +501,139 @@ function mulawDecode(mulaw) {
   return Math.max(-CLIP, Math.min(CLIP, sample));
 }
 
+/**
+ * Encode a 16-bit PCM sample as a mulaw byte
+ */
+function mulawEncode(sample) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+
+  const sign = (sample >> 8) & 0x80;
+  if (sign !== 0) {
+    sample = -sample;
+  }
+  sample = Math.min(sample, CLIP) + BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; exponent--, mask >>= 1);
+  const mantissa = (sample >> (exponent + 3)) & 0x0F;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Convert 16-bit little-endian PCM at any sample rate to mulaw 8kHz
+ * (what Twilio expects on outbound media frames). Downsampling averages
+ * the source samples behind each output sample.
+ */
+function pcmToMulaw(pcmBuffer, sampleRate) {
+  const input = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, Math.floor(pcmBuffer.length / 2));
+  const ratio = sampleRate / 8000;
+  const output = Buffer.alloc(Math.floor(input.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      sum += input[j];
+    }
+    output[i] = mulawEncode(Math.round(sum / (end - start)));
+  }
+
+  return output;
+}
+
+/**
+ * Loudness of a mulaw frame (RMS of the decoded samples)
+ */
+function frameEnergy(mulawFrame) {
+  if (mulawFrame.length === 0) return 0;
+  let sum = 0;
+  for (const byte of mulawFrame) {
+    const sample = mulawDecode(byte);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / mulawFrame.length);
+}
+
+/**
+ * Energy-based voice activity detection over mulaw frames. push() each
+ * inbound frame; it returns the utterance's audio (mulaw, including a
+ * little pre-roll) once the caller has been quiet for silenceMs, or null.
+ * flush() ends an utterance in progress (e.g. when the stream stops).
+ */
+function createUtteranceDetector(options = {}) {
+  const settings = { ...VAD_DEFAULTS, ...options };
+  let speaking = false;
+  let frames = [];
+  let preRoll = [];
+  let preRollMs = 0;
+  let speechMs = 0;
+  let silenceMs = 0;
+  let durationMs = 0;
+
+  function end() {
+    const audio = speaking && speechMs >= settings.minSpeechMs ? Buffer.concat(frames) : null;
+    speaking = false;
+    frames = [];
+    speechMs = silenceMs = durationMs = 0;
+    return audio;
+  }
+
+  return {
+    settings,
+
+    push(frame) {
+      const ms = frame.length / 8; // 8 samples per ms
+      const loud = frameEnergy(frame) >= settings.energyThreshold;
+
+      if (!speaking) {
+        if (!loud) {
+          preRoll.push(frame);
+          preRollMs += ms;
+          while (preRoll.length > 0 && preRollMs - preRoll[0].length / 8 >= settings.preRollMs) {
+            preRollMs -= preRoll.shift().length / 8;
+          }
+          return null;
+        }
+        speaking = true;
+        frames = preRoll;
+        preRoll = [];
+        preRollMs = 0;
+      }
+
+      frames.push(frame);
+      durationMs += ms;
+      if (loud) {
+        speechMs += ms;
+        silenceMs = 0;
+      } else {
+        silenceMs += ms;
+      }
+
+      if (silenceMs >= settings.silenceMs || durationMs >= settings.maxUtteranceMs) {
+        return end();
+      }
+      return null;
+    },
+
+    flush() {
+      return end();
+    },
+  };
+}
+
+/**
+ * Split a reply into sentences, so synthesis and playback marks go a
+ * sentence at a time
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
 /**
  * Create WAV file header
  */
@@ -237,16 +665,23 @@ function createWavHeader(dataSize, sampleRate, numChannels, bitsPerSample) {
 }
 
 /**
- * Generate TwiML for Media Stream
+ * Generate TwiML for Media Stream. The call's SID is passed as a custom
+ * parameter; anything in options.parameters is added alongside it.
  */
 function generateStreamTwiML(options = {}) {
   const wsUrl = options.wsUrl || 'wss://your-server.com/media-stream';
   const track = options.track || 'inbound_track'; // or 'both_tracks'
+  const parameters = { callSid: options.callSid, ...options.parameters };
+
+  const params = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `<Parameter name="${name}" value="${value}" />`)
+    .join('\n        ');
 
   return `
     <Connect>
       <Stream url="${wsUrl}" track="${track}">
-        <Parameter name="callSid" value="{{CallSid}}" />
+        ${params}
       </Stream>
     </Connect>
   `;
@@ -256,4 +691,10 @@ module.exports = {
   createMediaStreamServer,
   generateStreamTwiML,
   mulawToWav,
+  mulawDecode,
+  mulawEncode,
+  pcmToMulaw,
+  frameEnergy,
+  createUtteranceDetector,
+  splitSentences,
 };
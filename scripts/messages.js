@@ -0,0 +1,86 @@
+/**
+ * Message Catalog
+ *
+ * Every caller-facing phrase lives in locales/<lang>.json as flat keys
+ * with {{placeholder}} variables:
+ *
+ *   "pin.incorrect": "Incorrect PIN. You have {{remaining}} attempts remaining."
+ *
+ * Operators can override or add phrases per language in config.messages:
+ *
+ *   "messages": { "en": { "call.noInput": "Nothing heard. Bye." } }
+ *
+ * A language is expected to define every key that any other language
+ * defines; missing keys fall back to the default language, then English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLanguages, getDefaultLanguage } = require('./languages');
+const { renderTemplate } = require('./prompts');
+
+const LOCALES_DIR = process.env.LOCALES_DIR || path.join(__dirname, '..', 'locales');
+
+/**
+ * Load the catalog for every configured language: { lang: { key: text } }
+ */
+function loadCatalog(config, dir = LOCALES_DIR) {
+  const catalog = {};
+
+  for (const code of Object.keys(getLanguages(config))) {
+    const file = path.join(dir, `${code}.json`);
+    const shipped = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    catalog[code] = { ...shipped, ...config.messages?.[code] };
+  }
+
+  return catalog;
+}
+
+/**
+ * Keys each language is missing, compared to the union of all languages
+ *
+ * Returns { lang: [key, ...] } for languages with gaps only.
+ */
+function findMissing(catalog) {
+  const allKeys = new Set(Object.values(catalog).flatMap(messages => Object.keys(messages)));
+  const missing = {};
+
+  for (const [code, messages] of Object.entries(catalog)) {
+    const keys = [...allKeys].filter(key => typeof messages[key] !== 'string');
+    if (keys.length > 0) {
+      missing[code] = keys;
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Create a message lookup for config
+ *
+ * Returns { t(lang, key, vars), catalog, missing }. Unknown keys render
+ * as the key itself so a gap is audible rather than silent.
+ */
+function createMessages(config, options = {}) {
+  const catalog = loadCatalog(config, options.dir);
+  const fallbacks = [getDefaultLanguage(config), 'en'];
+
+  return {
+    catalog,
+    missing: findMissing(catalog),
+
+    t: (lang, key, vars = {}) => {
+      const text = [lang, ...fallbacks]
+        .map(code => catalog[code]?.[key])
+        .find(value => typeof value === 'string');
+      return text === undefined ? key : renderTemplate(text, vars);
+    },
+  };
+}
+
+module.exports = {
+  LOCALES_DIR,
+  loadCatalog,
+  findMissing,
+  createMessages,
+};
@@ -0,0 +1,195 @@
+/**
+ * Outbound Calls
+ *
+ * Agent-initiated calls to allowlisted numbers: speak a message, optionally
+ * after a PIN challenge, and optionally hand the call over to the normal
+ * conversation loop.
+ *
+ * The webhook server owns the session store, so calls are placed there
+ * (POST /api/outbound-call). Other processes and agent tools use
+ * requestOutboundCall() to reach that endpoint.
+ *
+ * Each call's outcome is kept in the session store (as outcome-<CallSid>,
+ * so it outlives the call's own session and, with the file store, a
+ * restart) until the session TTL, so callers can tell whether the message
+ * was heard (GET /api/outbound-call?callSid=..., or waitForOutboundCall()):
+ *
+ *   calling    placed, message not spoken yet
+ *   delivered  spoken to the callee (after the PIN/code, if required)
+ *   voicemail  left on an answering machine (voicemail: true)
+ *   failed     call ended first; `reason` is Twilio's status
+ */
+
+const crypto = require('crypto');
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Create the server-side caller
+ *
+ * deps: { config, sessions, rateLimiter, client, isAllowed, getName, baseUrl, t }
+ */
+function createOutboundCaller(deps) {
+  const { config, sessions, rateLimiter, client, isAllowed, getName } = deps;
+
+  const outcomeKey = (callSid) => `outcome-${callSid}`;
+
+  async function getEntry(callSid) {
+    return /^[A-Za-z0-9_-]+$/.test(callSid || '') ? sessions.get(outcomeKey(callSid)) : null;
+  }
+
+  async function setOutcome(callSid, outcome, reason) {
+    await sessions.set(outcomeKey(callSid), { outcome, reason });
+  }
+
+  return {
+    /**
+     * Place a call. Returns { success, callSid } or { success: false, status, error }.
+     */
+    placeCall: async (options = {}) => {
+      const { to, message, requirePin = false, converse = false, lang = 'en', oneTimeCode = false, voicemail = false } = options;
+
+      if (!to || !message) {
+        return { success: false, status: 400, error: '`to` and `message` are required' };
+      }
+      if (!isAllowed(to)) {
+        return { success: false, status: 403, error: `${to} is not in allowedNumbers` };
+      }
+      if (!deps.baseUrl) {
+        return { success: false, status: 500, error: 'publicUrl not configured - Twilio needs it to fetch call TwiML' };
+      }
+
+      const capacity = rateLimiter.canStartCall();
+      if (!capacity.allowed) {
+        return { success: false, status: 429, error: `Rate limited: ${capacity.reason}` };
+      }
+
+      let call;
+      let code;
+      try {
+        // One-time code: texted first, asked for instead of the PIN
+        if (oneTimeCode) {
+          code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+          await client.sendSms({ to, body: deps.t(lang, 'pin.codeSms', { code }) });
+        }
+
+        call = await client.createCall({
+          to,
+          url: `${deps.baseUrl}/voice/outbound-answer`,
+          statusCallback: `${deps.baseUrl}/voice/status`,
+          // Let Twilio wait for the greeting to end before we speak
+          ...(voicemail && { MachineDetection: 'DetectMessageEnd' }),
+          ...options.twilioParams,
+        });
+      } catch (error) {
+        return { success: false, status: 502, error: error.message };
+      }
+
+      rateLimiter.startCall(call.sid, to);
+
+      await sessions.set(call.sid, {
+        outbound: true,
+        attempts: 0,
+        startTime: Date.now(),
+        callerNumber: to,
+        name: getName(to),
+        lang,
+        outboundMessage: message,
+        // Conversing hands the callee the agent and its tools: never without the PIN
+        requirePin: !!requirePin || !!code || !!converse,
+        oneTimeCode: code ? hashCode(code) : undefined,
+        voicemail: !!voicemail,
+        converse: !!converse,
+        ...options.session,
+      });
+      await setOutcome(call.sid, 'calling');
+
+      return { success: true, callSid: call.sid, status: call.status };
+    },
+
+    /**
+     * Whether `code` is the one-time code sent for this call's session
+     */
+    checkCode: (state, code) => !!state.oneTimeCode && hashCode(code || '') === state.oneTimeCode,
+
+    /**
+     * The message was spoken ('delivered') or left on voicemail ('voicemail')
+     */
+    recordOutcome: async (callSid, outcome) => {
+      if (await getEntry(callSid)) await setOutcome(callSid, outcome);
+    },
+
+    /**
+     * Twilio reported the call over; if nothing was spoken it failed
+     */
+    callEnded: async (callSid, status) => {
+      if ((await getEntry(callSid))?.outcome === 'calling') await setOutcome(callSid, 'failed', status);
+    },
+
+    getOutcome: async (callSid) => {
+      const entry = await getEntry(callSid);
+      return entry ? { callSid, outcome: entry.outcome, reason: entry.reason } : null;
+    },
+  };
+}
+
+/**
+ * Ask the webhook server to place an outbound call
+ * (for the queue worker, agent tools, scripts)
+ */
+async function requestOutboundCall(apiUrl, token, options) {
+  const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/outbound-call`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(options)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return { success: false, status: response.status, error: data.error || `HTTP ${response.status}` };
+  }
+  return { success: true, ...data };
+}
+
+/**
+ * Poll the webhook server until an outbound call is heard or fails
+ *
+ * Returns { outcome, reason? }; 'failed' with reason 'timeout' if it takes
+ * longer than timeoutMs. An unknown call (404) is polled again rather than
+ * reported as failed: the server may have restarted without the outcome.
+ */
+async function waitForOutboundCall(apiUrl, token, callSid, options = {}) {
+  const timeoutMs = options.timeoutMs || 180000;
+  const intervalMs = options.intervalMs || 2000;
+  const deadline = Date.now() + timeoutMs;
+  const url = `${apiUrl.replace(/\/$/, '')}/api/outbound-call?callSid=${encodeURIComponent(callSid)}`;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok && response.status !== 404) {
+        return { outcome: 'failed', reason: data.error || `HTTP ${response.status}` };
+      }
+      if (response.ok && data.outcome !== 'calling') {
+        return { outcome: data.outcome, reason: data.reason };
+      }
+    } catch (error) {
+      // Server unreachable (e.g. restarting); keep trying until the deadline
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return { outcome: 'failed', reason: 'timeout' };
+}
+
+module.exports = {
+  createOutboundCaller,
+  requestOutboundCall,
+  waitForOutboundCall,
+};
@@ -0,0 +1,87 @@
+/**
+ * PIN Hashing
+ *
+ * PINs are stored as salted scrypt hashes so a leaked voice-config.json
+ * (or one of its backups) does not hand out working credentials.
+ *
+ * Format: scrypt$N$r$p$<salt base64>$<hash base64>
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a PIN with a fresh random salt
+ */
+function hashPin(pin) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(String(pin), salt, KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check whether a string is a hash produced by hashPin
+ */
+function isPinHash(value) {
+  return typeof value === 'string' && /^scrypt\$\d+\$\d+\$\d+\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/.test(value);
+}
+
+/**
+ * Constant-time check of an entered PIN against a stored hash
+ */
+function verifyPinHash(pin, stored) {
+  if (!pin || !isPinHash(stored)) {
+    return false;
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(pin), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Verify an entered PIN against an allowedNumbers entry.
+ * Prefers `pinHash`; falls back to a legacy plaintext `pin`
+ * (still compared in constant time) until the config is migrated.
+ */
+function verifyPin(pin, entry) {
+  if (!entry || !pin) {
+    return false;
+  }
+
+  if (entry.pinHash) {
+    return verifyPinHash(pin, entry.pinHash);
+  }
+
+  if (entry.pin) {
+    const a = crypto.createHash('sha256').update(String(pin)).digest();
+    const b = crypto.createHash('sha256').update(String(entry.pin)).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  return false;
+}
+
+/**
+ * Validate PIN format (6 digits, as the PIN prompts' numDigits expect)
+ */
+function isValidPin(pin) {
+  return /^\d{6}$/.test(String(pin || ''));
+}
+
+module.exports = {
+  hashPin,
+  isPinHash,
+  verifyPin,
+  isValidPin,
+};
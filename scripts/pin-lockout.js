@@ -0,0 +1,118 @@
+/**
+ * PIN Lockout Ledger
+ *
+ * Tracks failed PIN attempts per caller number across calls and server
+ * restarts. After `maxAttempts` consecutive failures the number is locked
+ * for `lockoutMinutes`, so hanging up and redialing does not buy fresh
+ * guesses.
+ *
+ * The ledger is a small JSON file read on every operation, which keeps the
+ * webhook server and the admin CLI consistent without any coordination.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCKOUT_PATH = process.env.LOCKOUT_PATH || path.join(__dirname, '..', 'pin-lockouts.json');
+
+/**
+ * Create a lockout ledger backed by a JSON file
+ */
+function createLockoutLedger(options = {}) {
+  const filePath = options.filePath || LOCKOUT_PATH;
+  const maxAttempts = options.maxAttempts || 3;
+  const lockoutMs = (options.lockoutMinutes || 30) * 60000;
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (e) {
+      console.error('Warning: Could not read lockout ledger:', e.message);
+    }
+    return {};
+  }
+
+  function save(ledger) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Drop expired lockouts and failures older than the lockout window
+  function current(entry, now) {
+    if (!entry) return null;
+    if (entry.lockedUntil && entry.lockedUntil <= now) return null;
+    if (!entry.lockedUntil && now - entry.lastFailureAt > lockoutMs) return null;
+    return entry;
+  }
+
+  function toStatus(entry, now) {
+    const locked = !!entry?.lockedUntil && entry.lockedUntil > now;
+    const failures = entry?.failures || 0;
+    return {
+      locked,
+      until: locked ? entry.lockedUntil : null,
+      minutesLeft: locked ? Math.ceil((entry.lockedUntil - now) / 60000) : 0,
+      failures,
+      remaining: locked ? 0 : Math.max(0, maxAttempts - failures),
+    };
+  }
+
+  return {
+    // Current lockout status for a number
+    getStatus: (number) => {
+      const now = Date.now();
+      return toStatus(current(load()[number], now), now);
+    },
+
+    // Record a failed attempt, locking the number once the limit is hit
+    recordFailure: (number) => {
+      const now = Date.now();
+      const ledger = load();
+      const entry = current(ledger[number], now) || { failures: 0 };
+
+      entry.failures++;
+      entry.lastFailureAt = now;
+      if (entry.failures >= maxAttempts) {
+        entry.lockedUntil = now + lockoutMs;
+      }
+
+      ledger[number] = entry;
+      save(ledger);
+      return toStatus(entry, now);
+    },
+
+    // Successful PIN resets the failure count
+    recordSuccess: (number) => {
+      const ledger = load();
+      if (ledger[number]) {
+        delete ledger[number];
+        save(ledger);
+      }
+    },
+
+    // Admin: clear a lockout. Returns true if there was anything to clear.
+    clear: (number) => {
+      const ledger = load();
+      if (!ledger[number]) return false;
+      delete ledger[number];
+      save(ledger);
+      return true;
+    },
+
+    // Admin: list numbers with failures or active lockouts
+    list: () => {
+      const now = Date.now();
+      return Object.entries(load())
+        .filter(([, entry]) => current(entry, now))
+        .map(([number, entry]) => ({ number, ...toStatus(entry, now) }));
+    },
+  };
+}
+
+module.exports = {
+  createLockoutLedger,
+  LOCKOUT_PATH,
+};
@@ -0,0 +1,131 @@
+/**
+ * Agent Persona & System Prompts
+ *
+ * One prompt builder shared by the webhook server and the queue worker.
+ * The persona and prompt templates come from config.agent.persona; any
+ * template can be overridden and uses {{variable}} placeholders:
+ *
+ *   {{personaName}}         Winston Scott
+ *   {{personaDescription}}  a professional AI assistant
+ *   {{callerName}}          name from allowedNumbers
+ *   {{language}}            promptName of the language (ENGLISH, SPANISH, ...)
+ *   {{localTime}}           current time in {{timezone}}
+ *   {{timezone}}            caller timezone, else persona timezone
+ *   {{channel}}             voice call / text message
+ *   {{maxWords}}            word budget for this kind of prompt
+ */
+
+const { getLanguage } = require('./languages');
+
+const DEFAULT_TEMPLATES = {
+  // Live call, first attempt (tools available through the Gateway)
+  voice: `You are {{personaName}}, {{personaDescription}} on a VOICE CALL with {{callerName}}.
+Time: {{localTime}}.
+
+VOICE CALL RULES:
+1. Respond ONLY in {{language}}
+2. Keep responses under {{maxWords}} words - this is voice
+3. NO markdown, NO lists, NO formatting
+4. Be conversational and natural
+5. NEVER promise to "call back" on your own - calls back only happen when a slow request is saved as a task
+
+You have access to tools and can look up information. Use them when needed.`,
+
+  // Live call, retry after "please wait"
+  retry: `You are {{personaName}} on a VOICE CALL with {{callerName}}.
+Respond ONLY in {{language}}. Under {{maxWords}} words. No markdown.`,
+
+  // Deferred query answered by the queue worker
+  async: `You are {{personaName}}, {{personaDescription}}.
+You're responding to a voice query that was deferred for async processing.
+The user asked this during a phone call and you said you'd follow up.
+
+Current time: {{localTime}}
+
+Provide a helpful, complete answer. Keep it under {{maxWords}} words.
+Use simple formatting suitable for a {{channel}}.
+Respond in {{language}}.`,
+};
+
+const DEFAULT_PERSONA = {
+  name: 'Winston Scott',
+  description: 'a professional AI assistant',
+  timezone: 'America/New_York',
+  maxWords: { voice: 50, retry: 50, async: 200 },
+  channels: { voice: 'voice call', retry: 'voice call', async: 'text message' },
+};
+
+const DEFAULT_MODEL = 'groq/llama-3.3-70b-versatile';
+
+/**
+ * Resolve the persona from config.agent.persona over the defaults
+ */
+function getPersona(config) {
+  const persona = config.agent?.persona || {};
+  return {
+    ...DEFAULT_PERSONA,
+    ...persona,
+    maxWords: { ...DEFAULT_PERSONA.maxWords, ...persona.maxWords },
+    channels: { ...DEFAULT_PERSONA.channels, ...persona.channels },
+    templates: { ...DEFAULT_TEMPLATES, ...persona.templates },
+  };
+}
+
+/**
+ * Model name as the Gateway expects it (provider/model)
+ */
+function getAgentModel(config) {
+  return config.agent?.model || DEFAULT_MODEL;
+}
+
+/**
+ * Timezone for a caller: allowedNumbers[].timezone, else the persona's
+ */
+function getCallerTimezone(config, callerNumber) {
+  const entry = (config.allowedNumbers || []).find(n => n.number === callerNumber);
+  return entry?.timezone || getPersona(config).timezone;
+}
+
+/**
+ * Replace {{name}} placeholders; unknown names are left as-is
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  );
+}
+
+/**
+ * Build the system prompt for a kind of request ('voice' | 'retry' | 'async')
+ *
+ * context: { callerName, callerNumber, lang, channel }
+ */
+function buildSystemPrompt(config, kind, context = {}) {
+  const persona = getPersona(config);
+  const template = persona.templates[kind];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${kind}`);
+  }
+
+  const timezone = context.timezone || getCallerTimezone(config, context.callerNumber);
+  const lang = context.lang || 'en';
+
+  return renderTemplate(template, {
+    personaName: persona.name,
+    personaDescription: persona.description,
+    callerName: context.callerName || 'the caller',
+    language: getLanguage(config, lang).promptName,
+    localTime: new Date().toLocaleString('en-US', { timeZone: timezone }),
+    timezone,
+    channel: context.channel || persona.channels[kind],
+    maxWords: persona.maxWords[kind],
+  });
+}
+
+module.exports = {
+  buildSystemPrompt,
+  renderTemplate,
+  getPersona,
+  getAgentModel,
+  getCallerTimezone,
+};
@@ -2,23 +2,44 @@
 /**
  * Queue Worker - Processes pending voice queries asynchronously
  * 
- * Reads queries from pending-queries.jsonl, processes with Groq,
- * and sends results via configured channel (Gateway, Telegram, SMS, Webhook).
+ * Claims jobs from the shared job queue (scripts/job-queue.js), answers
+ * them through the Gateway agent (with its tools; direct Groq only when
+ * the Gateway is unreachable), and sends results via configured channel
+ * (Gateway, Telegram, SMS, Webhook). Several workers can run side by side.
  * 
- * Supports multiple response methods:
+ * Each job moves pending -> in-progress -> delivered. Failures go back to
+ * pending with exponential backoff until queueWorker.retry.maxAttempts,
+ * then the job is written to the dead-letter file (failed-queries.jsonl).
+ * The generated answer is kept on the job, so a failed delivery is
+ * retried without asking the model again.
+ * 
+ * Scheduled jobs (runAt) wait in the queue until they are due. A
+ * recurring job goes back to pending for its next run once this one is
+ * delivered or given up on (scripts/schedule.js).
+ * 
+ * Delivery channels (scripts/delivery.js), tried in order with fallback
+ * or fanned out to all:
  * - gateway: Uses Clawdbot Gateway (routes to user's configured channel)
  * - telegram: Direct Telegram Bot API
  * - sms: Twilio SMS
  * - webhook: POST to custom URL
+ * - call: Phone the caller back (PIN or one-time code, optional voicemail)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { buildSystemPrompt, getAgentModel } = require('./prompts');
+const { createMessages } = require('./messages');
+const { createJobQueue } = require('./job-queue');
+const { createDelivery, getChannels } = require('./delivery');
+const { nextRun } = require('./schedule');
 
 // Load configuration
 const CONFIG_PATH = process.env.VOICE_CONFIG_PATH || path.join(__dirname, '..', 'voice-config.json');
-const QUEUE_PATH = process.env.QUEUE_PATH || path.join(__dirname, '..', 'pending-queries.jsonl');
+// Pre-job-queue JSONL queue, imported on startup if still present
+const LEGACY_QUEUE_PATH = process.env.QUEUE_PATH || path.join(__dirname, '..', 'pending-queries.jsonl');
 const PROCESSED_PATH = process.env.PROCESSED_PATH || path.join(__dirname, '..', 'processed-queries.jsonl');
+const DEAD_LETTER_PATH = process.env.DEAD_LETTER_PATH || path.join(__dirname, '..', 'failed-queries.jsonl');
 
 let config = {};
 
@@ -30,224 +51,124 @@ try {
   console.error('Warning: Could not load config file:', e.message);
 }
 
+const messages = createMessages(config);
+const queue = createJobQueue();
+const delivery = createDelivery(config);
 const POLL_INTERVAL = config.queueWorker?.pollInterval || 30000;
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
+const GROQ_API_URL = (process.env.GROQ_API_URL || 'https://api.groq.com/openai/v1').replace(/\/$/, '');
+
+const RETRY = {
+  maxAttempts: 5,
+  baseDelayMs: 30000,   // 30s, 1m, 2m, 4m, ...
+  maxDelayMs: 3600000,  // capped at 1h
+  ...config.queueWorker?.retry
+};
+
+// A claim untouched for this long belongs to a worker that died; a live
+// worker renews its claim well within that (jobs can outlast it)
+const CLAIM_TIMEOUT_MS = config.queueWorker?.claimTimeoutMs || 600000;
+const HEARTBEAT_MS = CLAIM_TIMEOUT_MS / 3;
+
+// How long the agent may work on a job (tool use is slow), per job type
+const AGENT_TIMEOUTS = {
+  query: 120000,  // deferred live-call question
+  job: 300000,    // task the caller explicitly asked for
+  ...config.queueWorker?.timeouts
+};
 
 // ============================================
-// Response Senders (multi-channel support)
+// Query Processing
 // ============================================
 
-const senders = {
-  /**
-   * Send via Clawdbot Gateway - routes to user's configured channel
-   * (Telegram, WhatsApp, Discord, Signal, etc.)
-   */
-  async gateway(message, query) {
-    const gatewayUrl = config.asyncResponse?.gateway?.url || config.agent?.gatewayUrl || 'http://localhost:18789';
-    const gatewayToken = config.asyncResponse?.gateway?.token || config.agent?.gatewayToken;
-    
-    if (!gatewayToken) {
-      console.error('Gateway token not configured');
-      return false;
-    }
-    
-    try {
-      // Use Gateway's message endpoint to send to the user's channel
-      const response = await fetch(`${gatewayUrl}/v1/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${gatewayToken}`
-        },
-        body: JSON.stringify({
-          model: 'groq/llama-3.3-70b-versatile',
-          max_tokens: 50,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a message relay. Simply output the following message exactly as provided, do not add anything.'
-            },
-            {
-              role: 'user',
-              content: `Send this message to the user:\n\n${message}`
-            }
-          ]
-        })
-      });
-      
-      return response.ok;
-    } catch (error) {
-      console.error('Gateway send error:', error.message);
-      return false;
-    }
-  },
-
-  /**
-   * Send via Telegram Bot API
-   */
-  async telegram(message, query) {
-    const botToken = config.asyncResponse?.telegram?.botToken || config.telegram?.botToken || process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = query.chatId || config.asyncResponse?.telegram?.chatId || config.telegram?.defaultChatId;
-    
-    if (!botToken) {
-      console.error('Telegram bot token not configured');
-      return false;
-    }
-    
-    if (!chatId) {
-      console.error('Telegram chat ID not configured');
-      return false;
-    }
-    
-    try {
-      const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: chatId,
-          text: message,
-          parse_mode: 'Markdown'
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.text();
-        console.error('Telegram API error:', error);
-        return false;
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Telegram send error:', error.message);
-      return false;
-    }
-  },
+function agentMessages(query) {
+  return [
+    {
+      role: 'system',
+      content: buildSystemPrompt(config, 'async', {
+        callerName: query.callerName,
+        callerNumber: query.callerNumber,
+        lang: query.lang
+      })
+    },
+    { role: 'user', content: query.message }
+  ];
+}
 
-  /**
-   * Send via Twilio SMS
-   */
-  async sms(message, query) {
-    const accountSid = config.twilio?.accountSid;
-    const authToken = config.twilio?.authToken;
-    const fromNumber = config.twilio?.phoneNumber;
-    const toNumber = query.callerNumber || config.asyncResponse?.sms?.to;
-    
-    if (!accountSid || !authToken || !fromNumber || !toNumber) {
-      console.error('SMS not fully configured (need Twilio credentials and phone numbers)');
-      return false;
-    }
+/**
+ * Ask the Gateway agent (tools enabled). `unavailable` marks failures
+ * where the Gateway could not be reached, as opposed to a bad answer.
+ */
+async function askGateway(query) {
+  const gatewayUrl = config.agent?.gatewayUrl || 'http://localhost:18789';
+  const gatewayToken = config.agent?.gatewayToken || process.env.GATEWAY_TOKEN;
+  const timeoutMs = AGENT_TIMEOUTS[query.type] || AGENT_TIMEOUTS.query;
+  
+  if (!gatewayToken) {
+    return { success: false, unavailable: true, error: 'Gateway token not configured' };
+  }
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetch(`${gatewayUrl}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${gatewayToken}`
+      },
+      signal: controller.signal,
+      body: JSON.stringify({
+        model: getAgentModel(config),
+        max_tokens: 1000,
+        messages: agentMessages(query)
+      })
+    });
     
-    try {
-      const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
-      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${auth}`
-        },
-        body: new URLSearchParams({
-          To: toNumber,
-          From: fromNumber,
-          Body: message.replace(/[*_`]/g, '') // Remove markdown for SMS
-        })
-      });
-      
-      return response.ok;
-    } catch (error) {
-      console.error('SMS send error:', error.message);
-      return false;
+    if (!response.ok) {
+      const error = await response.text();
+      return { success: false, unavailable: response.status >= 500, error: `Gateway HTTP ${response.status}: ${error}` };
     }
-  },
-
-  /**
-   * Send via custom webhook (POST)
-   */
-  async webhook(message, query) {
-    const webhookUrl = config.asyncResponse?.webhook?.url;
-    const headers = config.asyncResponse?.webhook?.headers || {};
     
-    if (!webhookUrl) {
-      console.error('Webhook URL not configured');
-      return false;
+    const data = await response.json();
+    const reply = data.choices?.[0]?.message?.content;
+    if (!reply) {
+      return { success: false, error: 'Gateway returned an empty answer' };
     }
-    
-    try {
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...headers
-        },
-        body: JSON.stringify({
-          type: 'voice_query_response',
-          query: query.message,
-          response: message,
-          caller: query.callerNumber,
-          callerName: query.callerName,
-          lang: query.lang,
-          timestamp: new Date().toISOString()
-        })
-      });
-      
-      return response.ok;
-    } catch (error) {
-      console.error('Webhook send error:', error.message);
-      return false;
+    return { success: true, reply };
+  } catch (error) {
+    // A timeout means the agent is still busy, not that the Gateway is down
+    if (error.name === 'AbortError') {
+      return { success: false, error: `Gateway timed out after ${timeoutMs / 1000}s` };
     }
+    return { success: false, unavailable: true, error: `Gateway unreachable: ${error.message}` };
+  } finally {
+    clearTimeout(timeoutId);
   }
-};
+}
 
 /**
- * Send response via configured method
+ * Ask Groq directly (no tools) - fallback when the Gateway is down
  */
-async function sendResponse(message, query) {
-  const method = config.asyncResponse?.method || 'telegram';
-  const sender = senders[method];
-  
-  if (!sender) {
-    console.error(`Unknown response method: ${method}`);
-    return false;
-  }
-  
-  console.log(`  Sending via ${method}...`);
-  return await sender(message, query);
-}
-
-// ============================================
-// Query Processing
-// ============================================
-
-async function processQuery(query) {
+async function askGroq(query) {
   if (!GROQ_API_KEY) {
     return { success: false, error: 'GROQ_API_KEY not configured' };
   }
   
   try {
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+    const response = await fetch(`${GROQ_API_URL}/chat/completions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${GROQ_API_KEY}`
       },
       body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
+        // Direct Groq takes the bare model name (no "groq/" provider prefix)
+        model: getAgentModel(config).replace(/^groq\//, ''),
         max_tokens: 500,
         temperature: 0.7,
-        messages: [
-          {
-            role: 'system',
-            content: `You are Winston Scott, a professional AI assistant. 
-You're responding to a voice query that was deferred for async processing.
-The user asked this during a phone call and you said you'd follow up.
-
-Current time: ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })}
-
-Provide a helpful, complete answer. Keep it under 200 words.
-Use simple formatting suitable for text messages.
-Respond in ${query.lang === 'es' ? 'SPANISH' : 'ENGLISH'}.`
-          },
-          { role: 'user', content: query.message }
-        ]
+        messages: agentMessages(query)
       })
     });
     
@@ -258,38 +179,85 @@ Respond in ${query.lang === 'es' ? 'SPANISH' : 'ENGLISH'}.`
     
     const data = await response.json();
     const reply = data.choices?.[0]?.message?.content;
-    
+    if (!reply) {
+      return { success: false, error: 'Groq returned an empty answer' };
+    }
     return { success: true, reply };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Answer a query: Gateway first, Groq only if the Gateway is unavailable.
+ * Returns { success, reply, backend } or { success: false, error }.
+ */
+async function processQuery(query) {
+  const gateway = await askGateway(query);
+  if (gateway.success) {
+    return { ...gateway, backend: 'gateway' };
+  }
+  if (!gateway.unavailable) {
+    return gateway;
+  }
+  
+  console.log(`  ${gateway.error} - falling back to Groq`);
+  const groq = await askGroq(query);
+  if (!groq.success) {
+    return { success: false, error: `${gateway.error}; Groq: ${groq.error}` };
+  }
+  return { ...groq, backend: 'groq' };
+}
+
 // ============================================
 // Queue Management
 // ============================================
 
-function readPendingQueries() {
-  if (!fs.existsSync(QUEUE_PATH)) {
-    return [];
+function markDelivered(job) {
+  job.status = 'delivered';
+  job.deliveredAt = new Date().toISOString();
+  fs.appendFileSync(PROCESSED_PATH, JSON.stringify({ ...job, processedAt: job.deliveredAt }) + '\n');
+  finish(job);
+}
+
+/**
+ * Done with this run: remove the job, or for a recurring job start over
+ * (fresh answer, attempts and receipts) at its next run
+ */
+function finish(job) {
+  if (!job.recurrence) {
+    queue.complete(job);
+    return;
   }
   
-  try {
-    const content = fs.readFileSync(QUEUE_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(line => line.trim());
-    return lines.map(line => JSON.parse(line));
-  } catch (error) {
-    console.error('Error reading queue:', error.message);
-    return [];
-  }
+  const { answer, answeredAt, backend, receipts, lastError, nextAttemptAt, deliveredAt, failedAt, ...series } = job;
+  series.attempts = 0;
+  series.runs = (job.runs || 0) + 1;
+  series.runAt = nextRun(job.recurrence, job.runAt || new Date()).toISOString();
+  queue.release(series);
+  console.log(`  ↻ Next run: ${series.runAt}`);
 }
 
-function markProcessed(queries) {
-  if (queries.length > 0) {
-    const processed = queries.map(q => JSON.stringify({ ...q, processedAt: new Date().toISOString() })).join('\n') + '\n';
-    fs.appendFileSync(PROCESSED_PATH, processed);
+/**
+ * Record a failed attempt: back off and retry, or dead-letter the job
+ * once it has used all its attempts
+ */
+function markFailed(job, error) {
+  job.lastError = error;
+  
+  if (job.attempts >= RETRY.maxAttempts) {
+    job.status = 'failed';
+    job.failedAt = new Date().toISOString();
+    fs.appendFileSync(DEAD_LETTER_PATH, JSON.stringify(job) + '\n');
+    finish(job);
+    console.log(`  ✗ Giving up after ${job.attempts} attempts: ${error}`);
+    return;
   }
-  fs.writeFileSync(QUEUE_PATH, '');
+  
+  const delay = Math.min(RETRY.baseDelayMs * 2 ** (job.attempts - 1), RETRY.maxDelayMs);
+  job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  queue.release(job);
+  console.log(`  ✗ ${error} (attempt ${job.attempts}/${RETRY.maxAttempts}, retry in ${Math.round(delay / 1000)}s)`);
 }
 
 function logStatus(msg) {
@@ -300,35 +268,72 @@ function logStatus(msg) {
 // Main Loop
 // ============================================
 
-async function processQueue() {
-  const queries = readPendingQueries();
+/**
+ * Generate the answer (unless an earlier attempt already did) and deliver it
+ */
+async function processJob(job) {
+  if (!job.answer) {
+    const result = await processQuery(job);
+    if (!result.success) {
+      markFailed(job, `Answer failed: ${result.error}`);
+      return;
+    }
+    job.answer = result.reply;
+    job.answeredAt = new Date().toISOString();
+    job.backend = result.backend;
+    queue.update(job);
+  }
   
-  if (queries.length === 0) {
-    return;
+  const header = messages.t(job.lang, 'worker.queryHeader', { query: job.message });
+  const result = await delivery.deliver(header + job.answer, job);
+  job.receipts = [...(job.receipts || []), ...result.receipts.map(r => ({ ...r, attempt: job.attempts }))];
+  
+  for (const receipt of result.receipts) {
+    console.log(`  ${receipt.ok ? '✓ Sent' : '✗ Failed'} via ${receipt.channel}${receipt.error ? `: ${receipt.error}` : ''}`);
+    if (receipt.warning) {
+      console.log(`    ⚠ ${receipt.warning}`);
+    }
+  }
+  
+  if (result.delivered) {
+    markDelivered(job);
+  } else {
+    const errors = result.receipts.map(r => `${r.channel}: ${r.error}`).join('; ');
+    markFailed(job, `Delivery failed (${errors})`);
+  }
+}
+
+async function processQueue() {
+  const recovered = queue.recoverStale(CLAIM_TIMEOUT_MS);
+  if (recovered.length > 0) {
+    logStatus(`Recovered ${recovered.length} abandoned job(s): ${recovered.join(', ')}`);
   }
   
-  logStatus(`Processing ${queries.length} pending queries...`);
+  // Each job gets at most one attempt per pass, even if its backoff is 0
+  const seen = new Set();
+  let job;
   
-  for (const query of queries) {
-    console.log(`  Query: "${query.message.substring(0, 50)}..."`);
+  while ((job = queue.claim(seen))) {
+    seen.add(job.id);
+    if (seen.size === 1) {
+      logStatus('Processing pending queries...');
+    }
+    console.log(`  Query: "${job.message.substring(0, 50)}..."`);
     
-    const result = await processQuery(query);
+    job.attempts = (job.attempts || 0) + 1;
+    queue.update(job);
     
-    if (result.success) {
-      const header = query.lang === 'es' 
-        ? `📞 *Respuesta a tu pregunta de voz:*\n_"${query.message}"_\n\n`
-        : `📞 *Response to your voice query:*\n_"${query.message}"_\n\n`;
-      
-      const message = header + result.reply;
-      const sent = await sendResponse(message, query);
-      console.log(`  ${sent ? '✓ Sent' : '✗ Failed'}`);
-    } else {
-      console.log(`  ✗ Error: ${result.error}`);
+    const heartbeat = setInterval(() => queue.heartbeat(job), HEARTBEAT_MS);
+    try {
+      await processJob(job);
+    } finally {
+      clearInterval(heartbeat);
     }
   }
   
-  markProcessed(queries);
-  logStatus('Queue processed.');
+  if (seen.size > 0) {
+    logStatus(`Queue processed (${seen.size} jobs).`);
+  }
 }
 
 // ============================================
@@ -340,15 +345,46 @@ console.log('║   Voice Query Queue Worker             ║');
 console.log('╚════════════════════════════════════════╝');
 console.log('');
 console.log(`Config: ${CONFIG_PATH}`);
-console.log(`Queue:  ${QUEUE_PATH}`);
+console.log(`Queue:  ${queue.dir}`);
 console.log(`Poll:   ${POLL_INTERVAL}ms`);
-console.log(`Method: ${config.asyncResponse?.method || 'telegram'}`);
+console.log(`Agent:  ${config.agent?.gatewayUrl || 'http://localhost:18789'} (Groq fallback${GROQ_API_KEY ? '' : ' disabled: no GROQ_API_KEY'})`);
+console.log(`Method: ${getChannels(config).join(config.asyncResponse?.fanOut ? ' + ' : ' -> ')}`);
+console.log(`Retry:  ${RETRY.maxAttempts} attempts, backoff from ${RETRY.baseDelayMs / 1000}s (failed jobs: ${DEAD_LETTER_PATH})`);
 console.log('');
 
-// Initial run
-processQueue();
+// Jobs queued by an older server version
+const legacy = queue.importJsonl(LEGACY_QUEUE_PATH);
+if (legacy.imported || legacy.skipped) {
+  logStatus(`Imported ${legacy.imported} job(s) from ${LEGACY_QUEUE_PATH} (${legacy.skipped} unreadable line(s) skipped)`);
+}
 
-// Poll interval
-setInterval(processQueue, POLL_INTERVAL);
+// A pass can outlast the poll interval (agent timeouts are minutes), so
+// only one runs at a time; an error is logged and the next poll retries
+let passRunning = false;
+
+async function runPass() {
+  if (passRunning) {
+    return;
+  }
+  passRunning = true;
+  try {
+    await processQueue();
+  } catch (error) {
+    logStatus(`Queue pass failed: ${error.message}`);
+  } finally {
+    passRunning = false;
+  }
+}
 
-console.log('Worker running. Press Ctrl+C to stop.');
+// --once: process what is due and exit (cron, tests)
+if (process.argv.includes('--once')) {
+  runPass().then(() => process.exit(0));
+} else {
+  // Initial run
+  runPass();
+  
+  // Poll interval
+  setInterval(runPass, POLL_INTERVAL);
+  
+  console.log('Worker running. Press Ctrl+C to stop.');
+}
@@ -0,0 +1,167 @@
+/**
+ * Rate Limiter
+ *
+ * Sliding-window limits per caller number (calls per hour / day and
+ * expensive actions such as agent turns or job creation) plus a global
+ * cap on simultaneous active calls.
+ *
+ * State lives in a JSON file so limits survive restarts:
+ *   {
+ *     "events": { "calls:+1234567890": [timestamp, ...], "agentTurn:+1...": [...] },
+ *     "active": { "<callSid>": { "number": "+1...", "startedAt": timestamp } }
+ *   }
+ *
+ * Every check returns { allowed, reason, limit } so callers can log why a
+ * request was rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RATE_LIMIT_PATH = process.env.RATE_LIMIT_PATH || path.join(__dirname, '..', 'rate-limits.json');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Resolve limits from config, keeping the legacy top-level rateLimitPerHour
+ */
+function getRateLimitConfig(config) {
+  const rateLimit = config.security?.rateLimit || {};
+  return {
+    callsPerHour: rateLimit.callsPerHour ?? config.rateLimitPerHour ?? 10,
+    callsPerDay: rateLimit.callsPerDay ?? 50,
+    maxConcurrentCalls: rateLimit.maxConcurrentCalls ?? 0, // 0 = unlimited
+    activeCallTtlMinutes: rateLimit.activeCallTtlMinutes ?? 30,
+    actions: {
+      agentTurn: { perHour: 60 },
+      job: { perHour: 5, perDay: 20 },
+      ...rateLimit.actions,
+    },
+  };
+}
+
+/**
+ * Create a rate limiter backed by a JSON file
+ */
+function createRateLimiter(limits, options = {}) {
+  const filePath = options.filePath || RATE_LIMIT_PATH;
+  const activeTtlMs = limits.activeCallTtlMinutes * 60000;
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { events: state.events || {}, active: state.active || {} };
+      }
+    } catch (e) {
+      console.error('Warning: Could not read rate limit state:', e.message);
+    }
+    return { events: {}, active: {} };
+  }
+
+  // Drop events older than a day and active calls past their TTL
+  function prune(state, now) {
+    for (const [key, times] of Object.entries(state.events)) {
+      const recent = times.filter(t => now - t < DAY_MS);
+      if (recent.length > 0) {
+        state.events[key] = recent;
+      } else {
+        delete state.events[key];
+      }
+    }
+    for (const [callSid, call] of Object.entries(state.active)) {
+      if (now - call.startedAt > activeTtlMs) {
+        delete state.active[callSid];
+      }
+    }
+    return state;
+  }
+
+  function save(state) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function countSince(times, since) {
+    return times.filter(t => t > since).length;
+  }
+
+  // Check hourly / daily windows for a key and record the event if allowed
+  function hit(kind, number, perHour, perDay) {
+    const now = Date.now();
+    const state = prune(load(), now);
+    const key = `${kind}:${number}`;
+    const times = state.events[key] || [];
+
+    if (perHour && countSince(times, now - HOUR_MS) >= perHour) {
+      save(state);
+      return { allowed: false, reason: `${kind}_per_hour`, limit: perHour };
+    }
+    if (perDay && countSince(times, now - DAY_MS) >= perDay) {
+      save(state);
+      return { allowed: false, reason: `${kind}_per_day`, limit: perDay };
+    }
+
+    state.events[key] = [...times, now];
+    save(state);
+    return { allowed: true };
+  }
+
+  return {
+    // Per-number call windows (checked before anything else on a call)
+    checkCall: (number) => hit('calls', number, limits.callsPerHour, limits.callsPerDay),
+
+    // Expensive actions: agentTurn, job, ...
+    checkAction: (number, action) => {
+      const actionLimits = limits.actions[action];
+      if (!actionLimits) {
+        return { allowed: true };
+      }
+      return hit(action, number, actionLimits.perHour, actionLimits.perDay);
+    },
+
+    // Check for a free concurrency slot without claiming it
+    canStartCall: () => {
+      const active = Object.keys(prune(load(), Date.now()).active).length;
+      if (limits.maxConcurrentCalls && active >= limits.maxConcurrentCalls) {
+        return { allowed: false, reason: 'max_concurrent_calls', limit: limits.maxConcurrentCalls };
+      }
+      return { allowed: true };
+    },
+
+    // Claim a global concurrency slot for an accepted call
+    startCall: (callSid, number) => {
+      const now = Date.now();
+      const state = prune(load(), now);
+      const active = Object.keys(state.active).filter(sid => sid !== callSid).length;
+
+      if (limits.maxConcurrentCalls && active >= limits.maxConcurrentCalls) {
+        save(state);
+        return { allowed: false, reason: 'max_concurrent_calls', limit: limits.maxConcurrentCalls };
+      }
+
+      state.active[callSid] = { number, startedAt: now };
+      save(state);
+      return { allowed: true };
+    },
+
+    // Release the slot when the call ends
+    endCall: (callSid) => {
+      const state = load();
+      if (state.active[callSid]) {
+        delete state.active[callSid];
+        save(state);
+      }
+    },
+
+    activeCalls: () => Object.keys(prune(load(), Date.now()).active).length,
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  getRateLimitConfig,
+  RATE_LIMIT_PATH,
+};
@@ -0,0 +1,364 @@
+/**
+ * Job Scheduling
+ *
+ * Turns the time expressions in a job request (English or Spanish) into
+ * a due time or a recurrence, in the caller's timezone:
+ *
+ *   "check the backups tomorrow at 9 am"   -> runAt
+ *   "revisa el correo en dos horas"         -> runAt
+ *   "send me the news every Monday at 8"    -> runAt + recurrence
+ *
+ * parseSchedule() returns the task with the time words removed:
+ *
+ *   { task, runAt?, recurrence? }
+ *
+ * runAt is the first run (ISO). A recurrence looks like:
+ *
+ *   { every: 'minute' | 'hour' | 'day' | 'week', interval,
+ *     weekdays?: [0-6], time?: 'HH:MM', timezone }
+ *
+ * The queue only hands out a job once runAt has passed; after a recurring
+ * job runs, the worker puts it back with runAt = nextRun(...).
+ *
+ * Without an explicit time, "tomorrow" or "every day" mean 9:00, and a bare
+ * hour from 1 to 6 ("at 5", "a las 5") is taken as afternoon.
+ */
+
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+
+const PERIODS = {
+  morning: 9, mañana: 9,
+  afternoon: 15, tarde: 15,
+  evening: 20, noche: 20, night: 20,
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+  nueve: 9, diez: 10, once: 11, doce: 12, quince: 15, veinte: 20, treinta: 30,
+};
+
+const WEEKDAYS = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  domingo: 0, lunes: 1, martes: 2, miércoles: 3, miercoles: 3, jueves: 4, viernes: 5, sábado: 6, sabado: 6,
+};
+
+const UNIT_MS = { minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+
+const NUM = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(minutes?|mins?|hours?|days?|weeks?|minutos?|horas?|d[ií]as?|semanas?)';
+const WEEKDAY = `(${Object.keys(WEEKDAYS).join('|')})`;
+const MERIDIEM = '(?:\\s*([ap])\\.?\\s?m\\b\\.?)?';
+
+function toNumber(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.toLowerCase()];
+}
+
+function toUnit(word) {
+  const w = word.toLowerCase();
+  if (w.startsWith('min')) return 'minute';
+  if (w.startsWith('h')) return 'hour';
+  if (w.startsWith('d')) return 'day';
+  return 'week';
+}
+
+function toWeekday(word) {
+  return WEEKDAYS[word.toLowerCase()];
+}
+
+// Each rule removes its match from the task and records what it found.
+// Order matters: "pasado mañana" before "mañana", "de la mañana" before
+// "mañana", recurrences before weekdays.
+const RULES = [
+  // Recurrences
+  [/\b(?:every|each)\s+weekday\b|\b(?:entre\s+semana|de\s+lunes\s+a\s+viernes|(?:cada|todos\s+los)\s+d[ií]as?\s+laborables?)\b/i,
+    (m, s) => { s.every = 'day'; s.weekdays = [1, 2, 3, 4, 5]; }],
+  [new RegExp(`\\b(?:every|each|cada|tod[oa]s\\s+l[oa]s)\\s+(?:(other)\\s+|${NUM}\\s+)?${UNIT}\\b`, 'i'),
+    (m, s) => { s.every = toUnit(m[3]); s.interval = m[1] ? 2 : (m[2] ? toNumber(m[2]) : 1); }],
+  [new RegExp(`\\b(?:every|each|cada|tod[oa]s\\s+l[oa]s)\\s+${WEEKDAY}s?\\b`, 'i'),
+    (m, s) => { s.every = 'week'; s.weekdays = [toWeekday(m[1])]; }],
+  [/\b(daily|hourly|weekly|diariamente|a\s+diario|semanalmente)\b/i,
+    (m, s) => { s.every = { daily: 'day', diariamente: 'day', hourly: 'hour', weekly: 'week', semanalmente: 'week' }[m[1].toLowerCase()] || 'day'; }],
+
+  // Relative times
+  [/\b(?:in\s+half\s+an\s+hour|(?:en|dentro\s+de)\s+media\s+hora)\b/i,
+    (m, s) => { s.offsetMs = 30 * UNIT_MS.minute; }],
+  [new RegExp(`\\b(?:in|en|dentro\\s+de)\\s+${NUM}\\s+${UNIT}\\b`, 'i'),
+    (m, s) => {
+      const unit = toUnit(m[2]);
+      if (unit === 'day' || unit === 'week') {
+        s.dayOffset = toNumber(m[1]) * (unit === 'week' ? 7 : 1);
+        s.relativeDays = true;
+      } else {
+        s.offsetMs = toNumber(m[1]) * UNIT_MS[unit];
+      }
+    }],
+
+  // Days
+  [/\b(?:(?:for|on|para|el)\s+)?(?:the\s+)?(?:day\s+after\s+tomorrow|pasado\s+mañana)\b/i,
+    (m, s) => { s.dayOffset = 2; }],
+  [/\b(?:in\s+the|this|por\s+la|en\s+la|de\s+la|esta)\s+(morning|afternoon|evening|mañana|tarde|noche)\b/i,
+    (m, s) => {
+      s.period = m[1].toLowerCase();
+      if (/^(this|esta)\s/i.test(m[0]) && s.dayOffset === undefined) s.dayOffset = 0;
+    }],
+  [/\b(?:(?:for|para)\s+)?(today|tonight|tomorrow|hoy|mañana)\b/i,
+    (m, s) => {
+      const word = m[1].toLowerCase();
+      s.dayOffset = word === 'tomorrow' || word === 'mañana' ? 1 : 0;
+      if (word === 'tonight') s.period = 'night';
+    }],
+  [new RegExp(`\\b(?:(?:on|for|para|el|this|next|este|pr[oó]ximo)\\s+)*${WEEKDAY}(?:\\s+que\\s+viene)?\\b`, 'i'),
+    (m, s) => { s.weekday = toWeekday(m[1]); }],
+
+  // Times of day
+  [/\b(?:at\s+|al\s+|a\s+(?:la\s+)?)?(noon|midnight|mediod[ií]a|medianoche)\b/i,
+    (m, s) => { s.time = { hour: /^(noon|medio)/i.test(m[1]) ? 12 : 0, minute: 0, exact: true }; }],
+  [new RegExp(`\\b(?:at|around)\\s+(\\d{1,2})(?::(\\d{2}))?${MERIDIEM}(?:\\s+o'?clock)?`, 'i'),
+    (m, s) => { s.time = clockTime(parseInt(m[1], 10), m[2] ? parseInt(m[2], 10) : 0, m[3]); }],
+  [new RegExp(`\\b(?:a|sobre)\\s+las?\\s+${NUM}\\b(?::(\\d{2}))?(?:\\s+y\\s+(media|cuarto))?${MERIDIEM}`, 'i'),
+    (m, s) => { s.time = clockTime(toNumber(m[1]), m[2] ? parseInt(m[2], 10) : { media: 30, cuarto: 15 }[m[3]?.toLowerCase()] || 0, m[4]); }],
+  [new RegExp(`\\b(\\d{1,2})(?::(\\d{2}))?\\s*([ap])\\.?\\s?m\\b\\.?`, 'i'),
+    (m, s) => { s.time = clockTime(parseInt(m[1], 10), m[2] ? parseInt(m[2], 10) : 0, m[3]); }],
+  [/\b(\d{1,2}):(\d{2})\b/,
+    (m, s) => { s.time = clockTime(parseInt(m[1], 10), parseInt(m[2], 10)); }],
+];
+
+function clockTime(hour, minute, meridiem) {
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'p';
+    return { hour: (hour % 12) + (pm ? 12 : 0), minute, exact: true };
+  }
+  return { hour, minute, exact: false };
+}
+
+/**
+ * Wall-clock fields of a Date in a timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+/**
+ * The Date for a wall-clock time in a timezone
+ */
+function zonedDate({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let result = wall;
+  // Two passes settle the offset across DST changes
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(result), timeZone);
+    result -= Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - wall;
+  }
+  return new Date(result);
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+function parseClock(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return { hour, minute };
+}
+
+function formatClock({ hour, minute }) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Hour and minute for what was said: an explicit time (with the
+ * afternoon guess for 1-6), else the period's hour, else the default
+ */
+function resolveTime(s) {
+  if (s.time) {
+    let { hour, minute } = s.time;
+    const pm = s.period && PERIODS[s.period] >= 12;
+    if (!s.time.exact && hour < 12 && (pm || (!s.period && hour >= 1 && hour <= 6))) {
+      hour += 12;
+    }
+    return { hour, minute };
+  }
+  if (s.period) return { hour: PERIODS[s.period], minute: 0 };
+  return DEFAULT_TIME;
+}
+
+/**
+ * First run of a recurrence after `now`
+ */
+function firstRun(recurrence, now = new Date()) {
+  const { every, interval = 1, weekdays, timezone } = recurrence;
+  if (every === 'minute' || every === 'hour') {
+    return new Date(now.getTime() + interval * UNIT_MS[every]);
+  }
+
+  const time = parseClock(recurrence.time);
+  let day = zonedParts(now, timezone);
+  for (let i = 0; i < 8; i++, day = addDays(day, 1)) {
+    const candidate = zonedDate({ ...day, ...time }, timezone);
+    if (candidate > now && (!weekdays || weekdays.includes(day.weekday))) {
+      return candidate;
+    }
+  }
+  throw new Error('Recurrence has no valid weekday');
+}
+
+/**
+ * Next run of a recurrence after the one at `previous`, skipping any
+ * that are already in the past
+ */
+function nextRun(recurrence, previous, now = new Date()) {
+  const { every, interval = 1, weekdays, timezone } = recurrence;
+  const last = new Date(previous);
+
+  if (every === 'minute' || every === 'hour') {
+    const step = interval * UNIT_MS[every];
+    const missed = Math.max(0, Math.floor((now - last) / step));
+    return new Date(last.getTime() + (missed + 1) * step);
+  }
+
+  const time = parseClock(recurrence.time);
+  const everyDay = every === 'day' && weekdays;
+  const step = everyDay ? 1 : interval * (every === 'week' ? 7 : 1);
+  let day = zonedParts(last, timezone);
+
+  for (;;) {
+    day = addDays(day, step);
+    const candidate = zonedDate({ ...day, ...time }, timezone);
+    if (candidate > now && (!everyDay || weekdays.includes(day.weekday))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Pull a due time or recurrence out of a job request
+ *
+ * options: { timezone, now }
+ * Returns { task } alone when the request has no time expression.
+ */
+function parseSchedule(text, options = {}) {
+  const timezone = options.timezone || 'UTC';
+  const now = options.now || new Date();
+  const found = {};
+  let task = ` ${text} `;
+  let matched = false;
+
+  for (const [pattern, apply] of RULES) {
+    const match = task.match(pattern);
+    if (match) {
+      apply(match, found);
+      task = task.slice(0, match.index) + ' ' + task.slice(match.index + match[0].length);
+      matched = true;
+    }
+  }
+
+  task = task
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.])/g, '$1')
+    .replace(/^[\s,.]*(?:(?:to|for|and|that|para|que|y)\s+)?/i, '')
+    .replace(/[\s,]*(?:\b(?:for|on|at|starting|para|el|desde)\b)?[\s,]*$/i, '')
+    .trim();
+
+  if (!matched) {
+    return { task: text.trim() };
+  }
+
+  if (found.every) {
+    const recurrence = { every: found.every, interval: found.interval || 1, timezone };
+    if (found.every === 'day' || found.every === 'week') {
+      recurrence.weekdays = found.weekdays || (found.weekday !== undefined ? [found.weekday] : undefined);
+      if (found.every === 'day' && found.weekday !== undefined && !found.weekdays) {
+        recurrence.every = 'week';
+      }
+      recurrence.time = formatClock(resolveTime(found));
+      if (!recurrence.weekdays) delete recurrence.weekdays;
+    }
+    return { task, runAt: firstRun(recurrence, now).toISOString(), recurrence };
+  }
+
+  if (found.offsetMs) {
+    return { task, runAt: new Date(now.getTime() + found.offsetMs).toISOString() };
+  }
+
+  const today = zonedParts(now, timezone);
+  let dayOffset = found.dayOffset;
+  if (found.weekday !== undefined) {
+    dayOffset = (found.weekday - today.weekday + 7) % 7 || 7;
+  }
+
+  // "in 3 days" keeps the current time of day unless a time was said
+  const { hour, minute } = found.relativeDays && !found.time && !found.period ? today : resolveTime(found);
+  let runAt = zonedDate({ ...addDays(today, dayOffset || 0), hour, minute }, timezone);
+
+  // A time alone means its next occurrence
+  if (dayOffset === undefined && runAt <= now) {
+    runAt = zonedDate({ ...addDays(today, 1), hour, minute }, timezone);
+  }
+
+  return { task, runAt: runAt.toISOString() };
+}
+
+/**
+ * Spoken description of a schedule ("tomorrow at 9:00 AM",
+ * "every Monday at 8:00 AM"), or null when the job runs right away
+ *
+ * options: { t(key, vars), locale, timezone, now }
+ */
+function describeSchedule(schedule, options) {
+  if (!schedule?.runAt) return null;
+
+  const { t, locale = 'en-US', now = new Date() } = options;
+  const recurrence = schedule.recurrence;
+  const timeZone = recurrence?.timezone || options.timezone || 'UTC';
+  const runAt = new Date(schedule.runAt);
+  // Intl puts narrow no-break spaces in "9:00 AM"; TTS wants plain ones
+  const format = (options) => runAt.toLocaleString(locale, { ...options, timeZone }).replace(/\s/g, ' ');
+  const time = format({ hour: 'numeric', minute: '2-digit' });
+
+  if (recurrence) {
+    const count = recurrence.interval || 1;
+    const weekday = format({ weekday: 'long' });
+    switch (recurrence.every) {
+      case 'minute': return t('schedule.everyMinutes', { count });
+      case 'hour': return t(count === 1 ? 'schedule.everyHour' : 'schedule.everyHours', { count });
+      case 'week': return t(count === 1 ? 'schedule.everyWeekday' : 'schedule.everyWeeks', { count, weekday, time });
+      default:
+        if (recurrence.weekdays) return t('schedule.everyWorkday', { time });
+        return t(count === 1 ? 'schedule.everyDay' : 'schedule.everyDays', { count, time });
+    }
+  }
+
+  const today = zonedParts(now, timeZone);
+  const day = zonedParts(runAt, timeZone);
+  const tomorrow = addDays(today, 1);
+  const sameDay = (a, b) => a.year === b.year && a.month === b.month && a.day === b.day;
+
+  if (sameDay(day, today)) return t('schedule.today', { time });
+  if (sameDay(day, tomorrow)) return t('schedule.tomorrow', { time });
+  const date = format({ weekday: 'long', month: 'long', day: 'numeric' });
+  return t('schedule.on', { date, time });
+}
+
+module.exports = {
+  parseSchedule,
+  describeSchedule,
+  firstRun,
+  nextRun,
+};
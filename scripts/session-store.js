@@ -0,0 +1,151 @@
+/**
+ * Call Session Store
+ *
+ * Pluggable storage for per-call state (keyed by CallSid) shared by all
+ * webhook routes. Every store implements the same async interface:
+ *
+ *   get(callSid)          -> state | null (expired sessions read as null)
+ *   set(callSid, state)   -> stamps updatedAt and persists
+ *   has(callSid)          -> boolean
+ *   delete(callSid)
+ *   reap()                -> [callSid, ...] removed because they expired
+ *
+ * Stores:
+ * - memory: process-local Map (lost on restart)
+ * - file:   one JSON file per call, survives PM2 restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_DIR = path.join(__dirname, '..', 'sessions');
+
+function isExpired(state, ttlMs, now = Date.now()) {
+  return !state || now - (state.updatedAt || 0) > ttlMs;
+}
+
+const stores = {
+  /**
+   * In-memory store
+   */
+  memory: (options) => {
+    const sessions = new Map();
+    const ttlMs = options.ttlMs;
+
+    return {
+      get: async (callSid) => {
+        const state = sessions.get(callSid);
+        if (isExpired(state, ttlMs)) {
+          sessions.delete(callSid);
+          return null;
+        }
+        return state;
+      },
+      set: async (callSid, state) => {
+        state.updatedAt = Date.now();
+        sessions.set(callSid, state);
+      },
+      has: async (callSid) => sessions.has(callSid),
+      delete: async (callSid) => {
+        sessions.delete(callSid);
+      },
+      reap: async () => {
+        const now = Date.now();
+        const expired = [...sessions.entries()]
+          .filter(([, state]) => isExpired(state, ttlMs, now))
+          .map(([callSid]) => callSid);
+        expired.forEach(callSid => sessions.delete(callSid));
+        return expired;
+      },
+    };
+  },
+
+  /**
+   * File-backed store: <dir>/<callSid>.json, written via rename.
+   * SESSION_DIR overrides the configured dir, like the other *_DIR/*_PATH
+   * environment variables
+   */
+  file: (options) => {
+    const dir = process.env.SESSION_DIR || options.dir || DEFAULT_SESSION_DIR;
+    const ttlMs = options.ttlMs;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    function fileFor(callSid) {
+      if (!/^[A-Za-z0-9_-]+$/.test(callSid || '')) {
+        throw new Error(`Invalid CallSid: ${callSid}`);
+      }
+      return path.join(dir, `${callSid}.json`);
+    }
+
+    function read(file) {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        return null; // missing or half-written
+      }
+    }
+
+    return {
+      get: async (callSid) => {
+        const file = fileFor(callSid);
+        const state = read(file);
+        if (isExpired(state, ttlMs)) {
+          fs.rmSync(file, { force: true });
+          return null;
+        }
+        return state;
+      },
+      set: async (callSid, state) => {
+        const file = fileFor(callSid);
+        state.updatedAt = Date.now();
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state));
+        fs.renameSync(tmpPath, file);
+      },
+      has: async (callSid) => fs.existsSync(fileFor(callSid)),
+      delete: async (callSid) => {
+        fs.rmSync(fileFor(callSid), { force: true });
+      },
+      reap: async () => {
+        const now = Date.now();
+        const expired = [];
+        for (const name of fs.readdirSync(dir)) {
+          if (!name.endsWith('.json')) continue;
+          const file = path.join(dir, name);
+          if (isExpired(read(file), ttlMs, now)) {
+            fs.rmSync(file, { force: true });
+            expired.push(name.slice(0, -'.json'.length));
+          }
+        }
+        return expired;
+      },
+    };
+  },
+};
+
+/**
+ * Create a session store from config.sessions
+ * ({ store: 'file' | 'memory' | customStore, dir, ttlMinutes })
+ */
+function createSessionStore(options = {}) {
+  const ttlMs = (options.ttlMinutes || 60) * 60000;
+  const store = options.store || 'file';
+
+  // Allow plugging in an external implementation (e.g. Redis)
+  if (typeof store === 'object') {
+    return store;
+  }
+
+  const factory = stores[store];
+  if (!factory) {
+    throw new Error(`Unknown session store: ${store}. Valid: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return factory({ ...options, ttlMs });
+}
+
+module.exports = {
+  createSessionStore,
+  stores,
+};
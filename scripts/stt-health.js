@@ -0,0 +1,111 @@
+/**
+ * STT Provider Health
+ *
+ * Counts requests, errors and latency per STT provider for the life of
+ * the server. A provider that fails maxConsecutiveErrors times in a row
+ * is skipped for cooldownMs; the next provider in the sttProvider chain
+ * is used instead. "twilio" (<Gather>) is always considered available.
+ *
+ * Config (config.sttHealth):
+ *   { "maxConsecutiveErrors": 3, "cooldownMs": 60000 }
+ */
+
+const DEFAULTS = {
+  maxConsecutiveErrors: 3,
+  cooldownMs: 60000,
+};
+
+/**
+ * Create a health tracker
+ */
+function createSttHealth(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const now = options.now || Date.now;
+  const stats = new Map();
+
+  function get(name) {
+    if (!stats.has(name)) {
+      stats.set(name, {
+        requests: 0,
+        errors: 0,
+        consecutiveErrors: 0,
+        latencyTotalMs: 0,
+        latencySamples: 0,
+        lastError: null,
+        cooldownUntil: 0,
+      });
+    }
+    return stats.get(name);
+  }
+
+  function isAvailable(name) {
+    return name === 'twilio' || get(name).cooldownUntil <= now();
+  }
+
+  return {
+    settings,
+
+    /**
+     * A transcript (or started session) from a provider; latencyMs is
+     * optional (only batch requests are timed)
+     */
+    recordSuccess(name, latencyMs) {
+      const entry = get(name);
+      entry.requests++;
+      entry.consecutiveErrors = 0;
+      if (latencyMs !== undefined) {
+        entry.latencyTotalMs += latencyMs;
+        entry.latencySamples++;
+      }
+    },
+
+    /**
+     * A failed request or session; starts the cooldown once errors in a
+     * row reach maxConsecutiveErrors
+     */
+    recordError(name, error) {
+      const entry = get(name);
+      entry.requests++;
+      entry.errors++;
+      entry.consecutiveErrors++;
+      entry.lastError = error?.message || String(error);
+      if (entry.consecutiveErrors >= settings.maxConsecutiveErrors) {
+        entry.consecutiveErrors = 0;
+        entry.cooldownUntil = now() + settings.cooldownMs;
+        console.log(`[STT] ${name} skipped for ${settings.cooldownMs / 1000}s after repeated errors`);
+      }
+    },
+
+    isAvailable,
+
+    /**
+     * First available provider in the chain, or after `after` when
+     * failing over; null if none is left
+     */
+    pick(chain, after) {
+      const start = after ? chain.indexOf(after) + 1 : 0;
+      return chain.slice(start).find(isAvailable) || null;
+    },
+
+    /**
+     * Counters for /health
+     */
+    snapshot() {
+      const result = {};
+      for (const [name, entry] of stats) {
+        result[name] = {
+          requests: entry.requests,
+          errors: entry.errors,
+          avgLatencyMs: entry.latencySamples ? Math.round(entry.latencyTotalMs / entry.latencySamples) : null,
+          lastError: entry.lastError,
+          coolingDownUntil: entry.cooldownUntil > now() ? new Date(entry.cooldownUntil).toISOString() : null,
+        };
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  createSttHealth,
+};
@@ -5,9 +5,69 @@
  * - twilio: Built-in Twilio <Gather> (default, no extra cost)
  * - deepgram: Deepgram Nova-3 via WebSocket (lowest latency)
  * - groq: Groq Whisper via batch API (best accuracy)
+ * - openai: any OpenAI-compatible /audio/transcriptions endpoint (OpenAI,
+ *   or a self-hosted whisper server) with a configurable base URL and model
+ * - whisper-cpp: a local whisper.cpp binary, so call audio stays on this
+ *   machine
+ *
+ * Batch providers get a WAV (mulawToWav in the media stream handler) at
+ * the provider's sampleRate. Settings live under config.stt.<provider>.
+ *
+ * config.sttProvider is one provider or an ordered chain to fail over
+ * along: ["deepgram", "groq", "twilio"] (or "deepgram,groq,twilio").
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
 const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
+const { getLanguage } = require("./languages");
+
+// Used when config.sttProvider is not set
+const DEFAULT_STT_PROVIDER = 'twilio';
+
+/**
+ * POST audio to an OpenAI-style /audio/transcriptions endpoint. A request
+ * that outlasts timeoutMs fails like any other, so the chain fails over.
+ */
+async function transcribeOpenAI(name, apiUrl, apiKey, audioBuffer, options) {
+  const formData = new FormData();
+  formData.append('file', new Blob([audioBuffer]), 'audio.wav');
+  formData.append('model', options.model);
+  if (options.language) {
+    formData.append('language', options.language);
+  }
+
+  const timeoutMs = options.timeoutMs || 15000;
+  let data;
+  try {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+      method: 'POST',
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      body: formData,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${name} API error: ${error}`);
+    }
+
+    data = await response.json();
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`${name} timed out after ${timeoutMs / 1000}s`);
+    }
+    throw error;
+  }
+
+  return {
+    text: data.text,
+    confidence: 1.0, // Whisper APIs don't return confidence
+    language: data.language,
+  };
+}
 
 // Provider configurations
 const providers = {
@@ -70,41 +130,94 @@ const providers = {
     cost: '$0.00067-0.00185/min',
 
     transcribe: async (audioBuffer, config, options = {}) => {
-      const apiKey = config.groq?.apiKey || process.env.GROQ_API_KEY;
+      const settings = config.stt?.groq || {};
+      const apiKey = config.groq?.apiKey || settings.apiKey || process.env.GROQ_API_KEY;
       if (!apiKey) {
         throw new Error('GROQ_API_KEY not configured');
       }
 
-      const model = options.model || 'whisper-large-v3-turbo';
-      const language = options.language || 'en';
+      const apiUrl = settings.apiBaseUrl || process.env.GROQ_API_URL || 'https://api.groq.com/openai/v1';
+      return transcribeOpenAI('Groq', apiUrl, apiKey, audioBuffer, {
+        model: options.model || settings.model || 'whisper-large-v3-turbo',
+        language: options.language || 'en',
+        timeoutMs: settings.timeoutMs,
+      });
+    },
+  },
 
-      // Create form data
-      const formData = new FormData();
-      formData.append('file', new Blob([audioBuffer]), 'audio.wav');
-      formData.append('model', model);
-      if (language) {
-        formData.append('language', language);
-      }
+  /**
+   * OpenAI-compatible Batch
+   * OpenAI itself, or a self-hosted server (faster-whisper-server,
+   * LocalAI, whisper.cpp's server...) at stt.openai.apiBaseUrl
+   */
+  openai: {
+    name: 'OpenAI-compatible Whisper',
+    type: 'batch',
+    supportsStreaming: false,
+    cost: '$0.006/min (OpenAI), free self-hosted',
+
+    transcribe: async (audioBuffer, config, options = {}) => {
+      const settings = config.stt?.openai || {};
+      const apiUrl = settings.apiBaseUrl || 'https://api.openai.com/v1';
+      // Self-hosted servers usually need no key
+      const apiKey = settings.apiKey || process.env.OPENAI_API_KEY;
 
-      const response = await fetch('https://api.groq.com/openai/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: formData,
+      return transcribeOpenAI('OpenAI-compatible', apiUrl, apiKey, audioBuffer, {
+        model: options.model || settings.model || 'whisper-1',
+        language: options.language,
+        timeoutMs: settings.timeoutMs,
       });
+    },
+  },
 
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Groq API error: ${error}`);
+  /**
+   * whisper.cpp
+   * Runs the local binary (whisper-cli) on a temporary WAV file.
+   * whisper.cpp only reads 16 kHz audio.
+   */
+  'whisper-cpp': {
+    name: 'whisper.cpp (local)',
+    type: 'batch',
+    supportsStreaming: false,
+    sampleRate: 16000,
+    cost: 'Free (local CPU)',
+
+    transcribe: async (audioBuffer, config, options = {}) => {
+      const settings = config.stt?.['whisper-cpp'] || {};
+      const binary = settings.binary || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+      const model = options.model || settings.model || process.env.WHISPER_CPP_MODEL;
+      if (!model) {
+        throw new Error('whisper.cpp model not configured (stt["whisper-cpp"].model or WHISPER_CPP_MODEL)');
       }
 
-      const data = await response.json();
-      return {
-        text: data.text,
-        confidence: 1.0, // Groq doesn't return confidence
-        language: data.language,
-      };
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-'));
+      const wavPath = path.join(dir, 'audio.wav');
+      fs.writeFileSync(wavPath, audioBuffer);
+
+      const args = ['-m', model, '-f', wavPath, '-nt', '-np', '-t', String(settings.threads || 4)];
+      if (options.language) {
+        args.push('-l', options.language);
+      }
+
+      try {
+        const stdout = await new Promise((resolve, reject) => {
+          execFile(binary, args, { timeout: settings.timeoutMs || 30000 }, (error, out, stderr) => {
+            if (error) {
+              reject(new Error(`whisper.cpp error: ${(stderr || error.message).trim()}`));
+            } else {
+              resolve(out);
+            }
+          });
+        });
+
+        return {
+          text: stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' '),
+          confidence: 1.0,
+          language: options.language,
+        };
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
     },
   },
 };
@@ -120,6 +233,16 @@ function getProvider(name) {
   return provider;
 }
 
+/**
+ * The configured providers in order of preference
+ */
+function getProviderChain(config) {
+  const value = config.sttProvider || DEFAULT_STT_PROVIDER;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
 /**
  * Create a streaming STT session (Deepgram only)
  */
@@ -164,6 +287,11 @@ function createStreamingSession(providerName, config, options = {}) {
         connection.on(LiveTranscriptionEvents.Error, callback);
       },
 
+      // Register close handler (also fires after close())
+      onClose: (callback) => {
+        connection.on(LiveTranscriptionEvents.Close, callback);
+      },
+
       // Close connection
       close: () => {
         connection.finish();
@@ -175,12 +303,12 @@ function createStreamingSession(providerName, config, options = {}) {
 }
 
 /**
- * Transcribe audio batch (Groq)
+ * Transcribe audio batch (Groq, OpenAI-compatible, whisper.cpp)
  */
 async function transcribeBatch(providerName, audioBuffer, config, options = {}) {
   const provider = getProvider(providerName);
 
-  if (providerName === 'groq') {
+  if (provider.type === 'batch') {
     return await provider.transcribe(audioBuffer, config, options);
   }
 
@@ -189,29 +317,20 @@ async function transcribeBatch(providerName, audioBuffer, config, options = {})
 
 /**
  * Get language code for provider
+ *
+ * Codes come from the language entity (config.languages.<code>.stt),
+ * falling back to the language's Twilio locale.
  */
-function getLanguageCode(providerName, lang) {
-  const langMap = {
-    deepgram: {
-      es: 'es',
-      en: 'en-US',
-    },
-    groq: {
-      es: 'es',
-      en: 'en',
-    },
-    twilio: {
-      es: 'es-US',
-      en: 'en-US',
-    },
-  };
-
-  return langMap[providerName]?.[lang] || lang;
+function getLanguageCode(providerName, lang, config = {}) {
+  const language = getLanguage(config, lang);
+  return language.stt[providerName] || language.locale;
 }
 
 module.exports = {
+  DEFAULT_STT_PROVIDER,
   providers,
   getProvider,
+  getProviderChain,
   createStreamingSession,
   transcribeBatch,
   getLanguageCode,
@@ -0,0 +1,183 @@
+/**
+ * Telegram Message Formatting
+ *
+ * Agent answers are loose Markdown (**bold** or *bold*, _italic_, `code`,
+ * fenced blocks, [links](url), # headings). Telegram's parse modes reject
+ * anything unbalanced or unescaped, so we pick out the formatting we
+ * recognise and escape everything else for the chosen mode:
+ *
+ *   HTML        <b>, <i>, <code>, <pre>, <a>; &, < and > escaped (default)
+ *   MarkdownV2  the same spans with every reserved character escaped
+ *   plain       markers dropped, sent without parse_mode
+ *
+ * Unbalanced markers are left as literal text. Long answers are split
+ * into messages under Telegram's 4096-character limit at paragraph
+ * boundaries, then lines, then words; fenced code blocks are kept whole
+ * where they fit.
+ */
+
+const MAX_MESSAGE_LENGTH = 4096;
+
+const PARSE_MODES = {
+  HTML: 'HTML',
+  MarkdownV2: 'MarkdownV2',
+  plain: undefined,
+};
+
+// One alternative per span type; earlier ones win at the same position.
+// A single * is bold, as in Telegram's legacy Markdown that the message
+// catalog headers were written for.
+const SPAN = new RegExp([
+  '```([\\w+-]*)\\n?([\\s\\S]*?)```',                                  // 1-2 fenced code
+  '`([^`\\n]+)`',                                                      // 3   inline code
+  '\\[([^\\]\\n]+)\\]\\((https?:\\/\\/(?:[^\\s()]|\\([^\\s()]*\\))+)\\)', // 4-5 link
+  '\\*\\*(?!\\s)([^\\n]+?)\\*\\*',                                     // 6   **bold**
+  '(?<!\\w)__(?!\\s)([^\\n]+?)__(?!\\w)',                              // 7   __bold__
+  '(?<![\\w*])\\*(?![\\s*])([^\\n]+?)(?<!\\s)\\*(?![\\w*])',           // 8   *bold*
+  '(?<![\\w_])_(?![\\s_])([^\\n]+?)(?<!\\s)_(?![\\w_])',               // 9   _italic_
+  '^#{1,6}[ \\t]+([^\\n]+)',                                           // 10  # heading
+].join('|'), 'gm');
+
+/**
+ * Split loose Markdown into spans: { type: 'text' | 'bold' | 'italic' |
+ * 'code' | 'pre' | 'link', text, lang?, url? }
+ */
+function parseSpans(markdown) {
+  const spans = [];
+  let last = 0;
+
+  for (const m of markdown.matchAll(SPAN)) {
+    if (m.index > last) spans.push({ type: 'text', text: markdown.slice(last, m.index) });
+    last = m.index + m[0].length;
+
+    if (m[2] !== undefined) spans.push({ type: 'pre', text: m[2].replace(/\n$/, ''), lang: m[1] });
+    else if (m[3] !== undefined) spans.push({ type: 'code', text: m[3] });
+    else if (m[4] !== undefined) spans.push({ type: 'link', text: m[4], url: m[5] });
+    else if (m[9] !== undefined) spans.push({ type: 'italic', text: m[9] });
+    else spans.push({ type: 'bold', text: m[6] ?? m[7] ?? m[8] ?? m[10] });
+  }
+
+  if (last < markdown.length) spans.push({ type: 'text', text: markdown.slice(last) });
+  return spans;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text outside entities for MarkdownV2
+ */
+function escapeMarkdownV2(text) {
+  return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+const renderers = {
+  HTML: {
+    text: s => escapeHtml(s.text),
+    bold: s => `<b>${escapeHtml(s.text)}</b>`,
+    italic: s => `<i>${escapeHtml(s.text)}</i>`,
+    code: s => `<code>${escapeHtml(s.text)}</code>`,
+    pre: s => s.lang
+      ? `<pre><code class="language-${escapeHtml(s.lang)}">${escapeHtml(s.text)}</code></pre>`
+      : `<pre>${escapeHtml(s.text)}</pre>`,
+    link: s => `<a href="${escapeHtml(s.url).replace(/"/g, '&quot;')}">${escapeHtml(s.text)}</a>`,
+  },
+  MarkdownV2: {
+    text: s => escapeMarkdownV2(s.text),
+    bold: s => `*${escapeMarkdownV2(s.text)}*`,
+    italic: s => `_${escapeMarkdownV2(s.text)}_`,
+    code: s => `\`${s.text.replace(/[`\\]/g, '\\$&')}\``,
+    pre: s => `\`\`\`${s.lang || ''}\n${s.text.replace(/[`\\]/g, '\\$&')}\n\`\`\``,
+    link: s => `[${escapeMarkdownV2(s.text)}](${s.url.replace(/[)\\]/g, '\\$&')})`,
+  },
+  plain: {
+    text: s => s.text,
+    bold: s => s.text,
+    italic: s => s.text,
+    code: s => s.text,
+    pre: s => s.text,
+    link: s => `${s.text} (${s.url})`,
+  },
+};
+
+/**
+ * Render loose Markdown for a parse mode ('HTML' | 'MarkdownV2' | 'plain')
+ */
+function formatTelegram(markdown, mode = 'HTML') {
+  const render = renderers[mode] || renderers.plain;
+  return parseSpans(markdown).map(span => render[span.type](span)).join('');
+}
+
+// Paragraphs, with blank lines inside fenced code blocks kept together
+function paragraphs(markdown) {
+  const parts = [];
+  for (const part of markdown.split(/\n{2,}/)) {
+    const previous = parts[parts.length - 1];
+    if (previous !== undefined && (previous.match(/```/g) || []).length % 2 === 1) {
+      parts[parts.length - 1] = `${previous}\n\n${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Split loose Markdown into chunks whose rendered form fits in one
+ * message. Joins paragraphs greedily; a paragraph too long on its own is
+ * split by lines, then words, then hard-cut.
+ */
+function splitMessage(markdown, mode = 'HTML', limit = MAX_MESSAGE_LENGTH) {
+  const fits = text => formatTelegram(text, mode).length <= limit;
+  const separators = ['\n\n', '\n', ' '];
+
+  function pack(pieces, separator, level) {
+    const chunks = [];
+    let current = '';
+
+    for (const piece of pieces) {
+      const joined = current ? `${current}${separator}${piece}` : piece;
+      if (fits(joined)) {
+        current = joined;
+        continue;
+      }
+      if (current) chunks.push(current);
+      current = '';
+      if (fits(piece)) {
+        current = piece;
+      } else {
+        chunks.push(...splitPiece(piece, level + 1));
+      }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  function splitPiece(text, level) {
+    if (level < separators.length) {
+      return pack(text.split(separators[level]), separators[level], level);
+    }
+    // A single word longer than a message: cut by length
+    const chunks = [];
+    let rest = text;
+    while (rest) {
+      let size = Math.min(rest.length, limit);
+      while (size > 1 && !fits(rest.slice(0, size))) size = Math.floor(size * 0.9);
+      chunks.push(rest.slice(0, size));
+      rest = rest.slice(size);
+    }
+    return chunks;
+  }
+
+  return pack(paragraphs(markdown.trim()), '\n\n', 0).filter(chunk => chunk.trim());
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  PARSE_MODES,
+  escapeMarkdownV2,
+  formatTelegram,
+  splitMessage,
+};
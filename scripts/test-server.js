@@ -7,27 +7,123 @@
  */
 
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeSignature } = require('./twilio-signature');
+const { createJobQueue } = require('./job-queue');
+const { parseSchedule } = require('./schedule');
+const { verifyPayload } = require('./webhook-signature');
+const { formatTelegram } = require('./telegram-format');
 
 const PORT = process.env.TEST_PORT || 3099;
 const BASE_URL = `http://localhost:${PORT}`;
+const GATEWAY_PORT = process.env.TEST_GATEWAY_PORT || 3098;
+const TWILIO_PORT = process.env.TEST_TWILIO_PORT || 3097;
+const DELIVERY_PORT = process.env.TEST_DELIVERY_PORT || 3096;
+const TELEGRAM_PORT = process.env.TEST_TELEGRAM_PORT || 3095;
+const STREAM_PORT = process.env.TEST_STREAM_PORT || 3094;
+const PLAYBACK_PORT = process.env.TEST_PLAYBACK_PORT || 3093;
+const OUTBOUND_TOKEN = 'test-outbound-token';
+
+// Run against the example config, plus test-only numbers, with all
+// state files in a throwaway directory
+const EXAMPLE_CONFIG = require(path.join(__dirname, '..', 'voice-config.example.json'));
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-test-'));
+const CONFIG_PATH = path.join(TMP_DIR, 'voice-config.json');
+const AUTH_TOKEN = EXAMPLE_CONFIG.twilio.authToken;
+
+fs.writeFileSync(CONFIG_PATH, JSON.stringify({
+  ...EXAMPLE_CONFIG,
+  allowedNumbers: [
+    ...EXAMPLE_CONFIG.allowedNumbers,
+    { number: '+15550000001', pin: '654321', name: 'Lockout' },
+    { number: '+15550000002', pin: '111111', name: 'Capped' },
+    {
+      number: '+15550000003', pin: '222222', name: 'Lisbon', timezone: 'Europe/Lisbon',
+      delivery: { method: 'sms', sms: { to: '+15559990000' }, lang: 'es' }
+    }
+  ],
+  languages: {
+    ...EXAMPLE_CONFIG.languages,
+    pt: { name: 'Português', promptName: 'PORTUGUESE', locale: 'pt-BR', voice: 'Polly.Camila-Neural' }
+  },
+  menu: {
+    ...EXAMPLE_CONFIG.menu,
+    languages: [
+      ...EXAMPLE_CONFIG.menu.languages,
+      { key: '3', lang: 'pt', prompt: 'Para português, pressione três.' }
+    ]
+  },
+  messages: {
+    en: { 'call.sessionError': 'Test session error. Goodbye.' },
+    pt: { 'menu.welcome': 'Bem-vindo {{name}}. Como posso ajudar?' }
+  },
+  twilio: {
+    ...EXAMPLE_CONFIG.twilio,
+    apiBaseUrl: `http://localhost:${TWILIO_PORT}`
+  },
+  telegram: {
+    apiBaseUrl: `http://localhost:${TELEGRAM_PORT}`
+  },
+  outbound: {
+    apiToken: OUTBOUND_TOKEN
+  },
+  agent: {
+    gatewayUrl: `http://localhost:${GATEWAY_PORT}`,
+    gatewayToken: 'test-gateway-token',
+    persona: {
+      name: 'Test Persona',
+      templates: { voice: 'You are {{personaName}} talking to {{callerName}} in {{language}} ({{timezone}}).' }
+    }
+  },
+  asyncResponse: {
+    method: 'webhook',
+    webhook: { url: `http://localhost:${DELIVERY_PORT}/deliver`, secret: 'test-webhook-secret', retryDelayMs: 0 }
+  },
+  queueWorker: {
+    retry: { maxAttempts: 2, baseDelayMs: 0 },
+    timeouts: { job: 200 }
+  },
+  security: {
+    ...EXAMPLE_CONFIG.security,
+    rateLimit: { callsPerHour: 100, callsPerDay: 20 }
+  }
+}));
+
+// Rate limit state carried over from a "previous run": +15550000002 has
+// used its daily allowance, spread out so the hourly window is clear
+const RATE_LIMIT_PATH = path.join(TMP_DIR, 'rate-limits.json');
+fs.writeFileSync(RATE_LIMIT_PATH, JSON.stringify({
+  events: { 'calls:+15550000002': Array.from({ length: 20 }, (_, i) => Date.now() - (2 + i / 2) * 3600000) },
+  active: {}
+}));
 
 // Test results
 const results = [];
 let serverProcess;
+let serverOutput = '';
 
 function log(msg) {
   console.log(`  ${msg}`);
 }
 
-async function request(method, path, body = null) {
+// Sign like Twilio does; pass { signature } to override (null = unsigned)
+async function request(method, path, body = null, opts = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, BASE_URL);
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const signature = 'signature' in opts
+      ? opts.signature
+      : computeSignature(AUTH_TOKEN, url.toString(), Object.fromEntries(new URLSearchParams(body || '')));
+    if (signature) headers['X-Twilio-Signature'] = signature;
+
     const options = {
       method,
       hostname: url.hostname,
       port: url.port,
       path: url.pathname + url.search,
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      headers,
       timeout: 5000
     };
 
@@ -47,6 +143,21 @@ async function request(method, path, body = null) {
   });
 }
 
+// JSON request to an /api endpoint; token null = no Authorization header
+async function apiRequest(path, payload, token = OUTBOUND_TOKEN) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    const req = http.request({ method: 'POST', hostname: 'localhost', port: PORT, path, headers, timeout: 5000 }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', (e) => reject(new Error(`Request failed: ${e.message}`)));
+    req.end(JSON.stringify(payload));
+  });
+}
+
 async function test(name, fn) {
   try {
     await fn();
@@ -58,24 +169,263 @@ async function test(name, fn) {
   }
 }
 
-async function runTests() {
-  console.log('\n╔════════════════════════════════════════╗');
-  console.log('║   Voice Skill Server Tests             ║');
-  console.log('╚════════════════════════════════════════╝\n');
+// Stand-in for the Clawdbot Gateway (and, under /groq, the Groq API):
+// records chat requests and echoes the last user message back as the
+// agent reply. gatewayDown / gatewayDelayMs simulate an outage or a slow
+// tool-using agent on the Gateway side; groqEmpty makes Groq answer with
+// no choices. Transcriptions (Groq under /groq,
+// any OpenAI-compatible path) record the path, model, auth and upload
+// size and answer with sttText, or 503 under a /down/ path (after a
+// second under /slow/); ElevenLabs speech (under
+// /elevenlabs) answers 100 ms of 16 kHz PCM per request.
+const gatewayRequests = [];
+const sttRequests = [];
+const ttsRequests = [];
+let sttText = '';
+let gatewayDown = false;
+let gatewayDelayMs = 0;
+let groqEmpty = false;
+const gatewayStub = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => data += chunk);
+  req.on('end', () => {
+    if (req.url.endsWith('/audio/transcriptions')) {
+      sttRequests.push({
+        path: req.url,
+        model: data.match(/name="model"\r\n\r\n([^\r]*)/)?.[1],
+        language: data.match(/name="language"\r\n\r\n([^\r]*)/)?.[1],
+        authorization: req.headers.authorization,
+        size: data.length
+      });
+      if (req.url.includes('/down/')) {
+        res.writeHead(503);
+        res.end('Service unavailable');
+        return;
+      }
+      if (req.url.includes('/slow/')) {
+        setTimeout(() => {
+          res.writeHead(503);
+          res.end('Service unavailable');
+        }, 1000);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ text: sttText }));
+      return;
+    }
+    if (req.url.includes('/v1/text-to-speech/')) {
+      ttsRequests.push({ path: req.url, ...JSON.parse(data) });
+      const pcm = Buffer.alloc(3200);
+      for (let i = 0; i < 1600; i++) pcm.writeInt16LE(Math.round(4000 * Math.sin(i / 4)), i * 2);
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(pcm);
+      return;
+    }
+    const payload = JSON.parse(data || '{}');
+    const backend = req.url.startsWith('/groq/') ? 'groq' : 'gateway';
+    gatewayRequests.push({ ...payload, backend });
+    if (backend === 'gateway' && gatewayDown) {
+      res.writeHead(503);
+      res.end('Gateway restarting');
+      return;
+    }
+    if (backend === 'groq' && groqEmpty) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [] }));
+      return;
+    }
+    const lastUser = (payload.messages || []).filter(m => m.role === 'user').pop();
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: `Reply to: ${lastUser?.content}` } }] }));
+    }, backend === 'gateway' ? gatewayDelayMs : 0);
+  });
+});
+
+// Stand-in for the Twilio REST API: records created calls / messages
+const twilioRequests = [];
+const twilioStub = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => data += chunk);
+  req.on('end', () => {
+    const params = Object.fromEntries(new URLSearchParams(data));
+    twilioRequests.push({ path: req.url, params });
+    const sid = (req.url.endsWith('/Calls.json') ? 'CA' : 'SM') + String(twilioRequests.length).padStart(32, '0');
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ sid, status: 'queued' }));
+  });
+});
+
+// Stand-in for an async-response webhook: records deliveries (and the raw
+// requests, for signature checks) and answers with deliveryStatus, or the
+// next of deliveryStatuses, so tests can simulate a broken channel
+const deliveries = [];
+const deliveryRequests = [];
+let deliveryStatus = 200;
+let deliveryStatuses = [];
+const deliveryStub = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => data += chunk);
+  req.on('end', () => {
+    deliveries.push(JSON.parse(data || '{}'));
+    deliveryRequests.push({ headers: req.headers, body: data });
+    res.writeHead(deliveryStatuses.shift() ?? deliveryStatus);
+    res.end();
+  });
+});
+
+// Stand-in for the Telegram Bot API: records requests ({ path, body },
+// body parsed for JSON, raw for uploads) and rejects formatted text
+// containing BADMARKUP the way Telegram rejects bad markup
+const telegramRequests = [];
+const telegramStub = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => data += chunk);
+  req.on('end', () => {
+    const isJson = (req.headers['content-type'] || '').includes('application/json');
+    const body = isJson ? JSON.parse(data || '{}') : data;
+    telegramRequests.push({ path: req.url, body });
+    if (isJson && body.parse_mode && body.text.includes('BADMARKUP')) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, description: "Bad Request: can't parse entities: Can't find end of the entity" }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result: { message_id: telegramRequests.length } }));
+  });
+});
 
-  // Start server in background
+// Job queue shared by the server and the worker
+const QUEUE_DIR = path.join(TMP_DIR, 'queue');
+const jobQueue = createJobQueue({ dir: QUEUE_DIR });
+const LEGACY_QUEUE_PATH = path.join(TMP_DIR, 'pending-queries.jsonl');
+
+// Run the queue worker once, optionally with top-level config overrides;
+// resolves with its output
+const DEAD_LETTER_PATH = path.join(TMP_DIR, 'failed-queries.jsonl');
+function runWorker(configOverrides) {
   const { spawn } = require('child_process');
-  const path = require('path');
-  
-  console.log(`Starting test server on port ${PORT}...`);
-  
+  let configPath = CONFIG_PATH;
+  if (configOverrides) {
+    configPath = path.join(TMP_DIR, 'worker-config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')), ...configOverrides }));
+  }
+  const worker = spawn('node', [path.join(__dirname, 'queue-worker.js'), '--once'], {
+    env: {
+      ...process.env,
+      VOICE_CONFIG_PATH: configPath,
+      QUEUE_DIR,
+      QUEUE_PATH: LEGACY_QUEUE_PATH,
+      PROCESSED_PATH: path.join(TMP_DIR, 'processed-queries.jsonl'),
+      DEAD_LETTER_PATH,
+      GROQ_API_KEY: 'test-groq-key',
+      GROQ_API_URL: `http://localhost:${GATEWAY_PORT}/groq/v1`
+    }
+  });
+  let output = '';
+  worker.stdout.on('data', (data) => { output += data.toString(); });
+  worker.stderr.on('data', (data) => { output += data.toString(); });
+  return new Promise(r => worker.on('exit', () => r(output)));
+}
+
+// Wait for the Twilio stand-in to receive a request for `resource` after
+// the first `since` requests (e.g. a call placed by a running worker)
+async function waitForTwilio(resource, since, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const found = twilioRequests.slice(since).find(r => r.path.endsWith(resource));
+    if (found) return found;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error(`No Twilio ${resource} request`);
+}
+
+function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Play a call's audio into the media stream server like Twilio does:
+// connected, start, one media event per 20 ms frame, then stop after
+// holdMs. Resolves to the messages the server sent back.
+function streamCall(callSid, frames, holdMs = 0, port = STREAM_PORT) {
+  const WebSocket = require('ws');
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}/media-stream`);
+    const streamSid = `MZ${callSid}`;
+    const received = [];
+    ws.on('message', (message) => received.push(JSON.parse(message)));
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ event: 'connected', protocol: 'Call' }));
+      ws.send(JSON.stringify({ event: 'start', start: { streamSid, callSid, customParameters: { callSid } } }));
+      for (const frame of frames) {
+        ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: frame.toString('base64') } }));
+      }
+      setTimeout(() => {
+        ws.send(JSON.stringify({ event: 'stop', streamSid }));
+        ws.close();
+      }, holdMs);
+    });
+    ws.on('close', () => resolve(received));
+    ws.on('error', reject);
+  });
+}
+
+// Synthetic call audio as 20 ms mu-law frames: `ms` of silence, or of a
+// voiced tone loud enough to count as speech
+function audioFrames(ms, amplitude = 0) {
+  const { pcmToMulaw } = require('./media-stream-handler');
+  const pcm = Buffer.alloc(ms * 16);
+  for (let i = 0; i < ms * 8; i++) pcm.writeInt16LE(Math.round(amplitude * Math.sin(i / 3)), i * 2);
+  const audio = pcmToMulaw(pcm, 8000);
+  return Array.from({ length: Math.ceil(audio.length / 160) }, (_, i) => audio.subarray(i * 160, (i + 1) * 160));
+}
+
+// A mono 16-bit PCM WAV at 8 kHz, like a Twilio call recording
+function wavRecording(frames) {
+  const { mulawDecode } = require('./media-stream-handler');
+  const mulaw = Buffer.concat(frames);
+  const pcm = Buffer.alloc(mulaw.length * 2);
+  mulaw.forEach((byte, i) => pcm.writeInt16LE(mulawDecode(byte), i * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(16000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Start the webhook server (optionally with another config) and wait
+// until /health answers
+async function startServer(configPath = CONFIG_PATH) {
+  const { spawn } = require('child_process');
+
   serverProcess = spawn('node', [path.join(__dirname, 'webhook-server.js')], {
-    env: { ...process.env, PORT: String(PORT), VOICE_CONFIG_PATH: path.join(__dirname, '..', 'voice-config.example.json') },
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      VOICE_CONFIG_PATH: configPath,
+      LOCKOUT_PATH: path.join(TMP_DIR, 'pin-lockouts.json'),
+      RATE_LIMIT_PATH,
+      SESSION_DIR: path.join(TMP_DIR, 'sessions'),
+      QUEUE_DIR,
+      PROCESSED_PATH: path.join(TMP_DIR, 'processed-queries.jsonl'),
+      DEAD_LETTER_PATH,
+      GROQ_API_KEY: 'test-groq-key',
+      GROQ_API_URL: `http://localhost:${GATEWAY_PORT}/groq/v1`
+    },
     stdio: ['pipe', 'pipe', 'pipe']
   });
 
   // Capture server output for debugging
-  let serverOutput = '';
   serverProcess.stdout.on('data', (data) => { serverOutput += data.toString(); });
   serverProcess.stderr.on('data', (data) => { serverOutput += data.toString(); });
   
@@ -97,9 +447,29 @@ async function runTests() {
     }
   } catch (e) {
     console.error('Server not responding:', e.message);
+    console.error(serverOutput);
     serverProcess.kill();
     process.exit(1);
   }
+}
+
+async function stopServer() {
+  const exited = new Promise(r => serverProcess.once('exit', r));
+  serverProcess.kill();
+  await exited;
+}
+
+async function runTests() {
+  console.log('\n╔════════════════════════════════════════╗');
+  console.log('║   Voice Skill Server Tests             ║');
+  console.log('╚════════════════════════════════════════╝\n');
+
+  console.log(`Starting test server on port ${PORT}...`);
+  await new Promise(r => gatewayStub.listen(GATEWAY_PORT, r));
+  await new Promise(r => twilioStub.listen(TWILIO_PORT, r));
+  await new Promise(r => deliveryStub.listen(DELIVERY_PORT, r));
+  await new Promise(r => telegramStub.listen(TELEGRAM_PORT, r));
+  await startServer();
 
   console.log('\nRunning tests:\n');
 
@@ -117,6 +487,8 @@ async function runTests() {
     if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
     if (!res.body.includes('not authorized')) throw new Error('Expected unauthorized message');
     if (!res.body.includes('Hangup')) throw new Error('Expected Hangup');
+    const limits = JSON.parse(fs.readFileSync(RATE_LIMIT_PATH, 'utf8'));
+    if (limits.events['calls:+19999999999']) throw new Error('Unknown number counted against the rate limit');
   });
 
   // Test 3: Incoming call from authorized number (example config has +1234567890)
@@ -171,8 +543,1070 @@ async function runTests() {
     if (!res.body.includes('<Response>')) throw new Error('Missing Response tag');
   });
 
+  // Test 9: Unsigned webhook is rejected
+  await test('POST /voice/incoming rejects missing signature', async () => {
+    const res = await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testUnsigned', { signature: null });
+    if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+  });
+
+  // Test 10: Spoofed params invalidate the signature
+  await test('POST /voice/incoming rejects tampered params', async () => {
+    const signed = computeSignature(AUTH_TOKEN, `${BASE_URL}/voice/incoming`, { From: '+19999999999', CallSid: 'testSpoof' });
+    const res = await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testSpoof', { signature: signed });
+    if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+  });
+
+  // Test 11: Signature computed against the proxy's public URL
+  await test('POST /voice/incoming honors X-Forwarded-* public URL', async () => {
+    const body = 'From=%2B1234567890&CallSid=testProxy';
+    const signed = computeSignature(AUTH_TOKEN, 'https://voice.example.com/voice/incoming', { From: '+1234567890', CallSid: 'testProxy' });
+    const res = await new Promise((resolve, reject) => {
+      const req = http.request({
+        method: 'POST', hostname: 'localhost', port: PORT, path: '/voice/incoming',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'X-Forwarded-Proto': 'https',
+          'X-Forwarded-Host': 'voice.example.com',
+          'X-Twilio-Signature': signed
+        }
+      }, (r) => { r.resume(); r.on('end', () => resolve({ status: r.statusCode })); });
+      req.on('error', reject);
+      req.end(body);
+    });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+  });
+
+  // Test 12: Lockout survives hanging up and redialing
+  await test('PIN lockout persists across calls', async () => {
+    for (let i = 0; i < 3; i++) {
+      const callSid = `testLock${i}`;
+      await request('POST', '/voice/incoming', `From=%2B15550000001&CallSid=${callSid}`);
+      await request('POST', '/voice/verify-pin', `Digits=000000&CallSid=${callSid}&From=%2B15550000001`);
+    }
+    const callsBefore = JSON.parse(fs.readFileSync(RATE_LIMIT_PATH, 'utf8')).events['calls:+15550000001'].length;
+    const res = await request('POST', '/voice/incoming', 'From=%2B15550000001&CallSid=testLock3');
+    if (!res.body.includes('temporarily locked')) throw new Error('Expected lockout announcement');
+    if (res.body.includes('Gather')) throw new Error('Locked number should not get a PIN prompt');
+    const callsAfter = JSON.parse(fs.readFileSync(RATE_LIMIT_PATH, 'utf8')).events['calls:+15550000001'].length;
+    if (callsAfter !== callsBefore) throw new Error('Locked-out call counted against the rate limit');
+  });
+
+  // Test 13: Admin can clear the lockout
+  await test('admin unlock clears PIN lockout', async () => {
+    const { execFileSync } = require('child_process');
+    execFileSync('node', [path.join(__dirname, 'admin.js'), 'unlock', '+15550000001'], {
+      env: { ...process.env, VOICE_CONFIG_PATH: CONFIG_PATH, LOCKOUT_PATH: path.join(TMP_DIR, 'pin-lockouts.json') }
+    });
+    const res = await request('POST', '/voice/incoming', 'From=%2B15550000001&CallSid=testLock4');
+    if (!res.body.includes('PIN')) throw new Error('Expected PIN prompt after unlock');
+  });
+
+  // Test 13b: PINs are exactly as long as the prompts' numDigits
+  await test('admin set-pin only accepts 6 digit PINs', async () => {
+    const { execFileSync } = require('child_process');
+    let error;
+    try {
+      execFileSync('node', [path.join(__dirname, 'admin.js'), 'set-pin', '+15550000001'], {
+        input: '1234\n',
+        stdio: 'pipe',
+        env: { ...process.env, VOICE_CONFIG_PATH: CONFIG_PATH, LOCKOUT_PATH: path.join(TMP_DIR, 'pin-lockouts.json') }
+      });
+    } catch (e) {
+      error = e;
+    }
+    if (!error?.stderr?.toString().includes('PIN must be 6 digits')) throw new Error('Expected a 4 digit PIN rejected');
+  });
+
+  // Test 14: Daily cap loaded from persisted state
+  await test('POST /voice/incoming enforces persisted daily cap', async () => {
+    const res = await request('POST', '/voice/incoming', 'From=%2B15550000002&CallSid=testCap');
+    if (!res.body.includes('Too many calls')) throw new Error('Expected rate limit message');
+    if (!serverOutput.includes('"reason":"calls_per_day"')) throw new Error('Expected calls_per_day reason in log');
+  });
+
+  // Test 15: Status callback releases the active call slot
+  await test('POST /voice/status releases active call', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B15550000003&CallSid=testStatusOther');
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testStatus');
+    const res = await request('POST', '/voice/status', 'CallSid=testStatus&CallStatus=completed');
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const state = JSON.parse(fs.readFileSync(RATE_LIMIT_PATH, 'utf8'));
+    if (state.active.testStatus) throw new Error('Call still marked active');
+    if (!state.active.testStatusOther) throw new Error('Expected other calls to remain active');
+    await request('POST', '/voice/status', 'CallSid=testStatusOther&CallStatus=completed');
+  });
+
+  // Test 16: Live call survives a server restart (file session store)
+  await test('Session survives server restart', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testRestart');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testRestart&From=%2B1234567890');
+    await stopServer();
+    await startServer();
+    const res = await request('POST', '/voice/select-language', 'Digits=2&CallSid=testRestart');
+    if (res.body.includes('Session error')) throw new Error('Session lost on restart');
+    if (!res.body.includes('Welcome')) throw new Error('Expected English welcome');
+  });
+
+  // Test 17: Agent sees earlier turns of the call
+  await test('POST /voice/process-speech sends conversation history', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testHistory');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testHistory&From=%2B1234567890');
+    await request('POST', '/voice/select-language', 'Digits=2&CallSid=testHistory');
+    await request('POST', '/voice/process-speech', 'SpeechResult=What+is+the+weather+today&CallSid=testHistory');
+    const res = await request('POST', '/voice/process-speech', 'SpeechResult=And+tomorrow&CallSid=testHistory');
+    if (!res.body.includes('Reply to: And tomorrow')) throw new Error('Expected agent reply');
+    const messages = gatewayRequests[gatewayRequests.length - 1].messages;
+    const contents = messages.map(m => `${m.role}:${m.content}`);
+    if (!contents.includes('user:What is the weather today')) throw new Error('Missing previous user turn');
+    if (!contents.includes('assistant:Reply to: What is the weather today')) throw new Error('Missing previous assistant turn');
+    if (contents[contents.length - 1] !== 'user:And tomorrow') throw new Error('Current utterance should be last');
+  });
+
+  // Test 18: Outbound API requires its token
+  await test('POST /api/outbound-call rejects missing token', async () => {
+    const res = await apiRequest('/api/outbound-call', { to: '+1234567890', message: 'Hi' }, null);
+    if (res.status !== 401) throw new Error(`Expected 401, got ${res.status}`);
+  });
+
+  // Test 19: Only allowlisted numbers can be called
+  await test('POST /api/outbound-call rejects non-allowlisted number', async () => {
+    const res = await apiRequest('/api/outbound-call', { to: '+19999999999', message: 'Hi' });
+    if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+  });
+
+  // Test 20: Call is placed through the Twilio API and answered with a PIN challenge
+  await test('Outbound call with PIN challenge delivers message', async () => {
+    const res = await apiRequest('/api/outbound-call', {
+      to: '+1234567890', message: 'Your server is down.', requirePin: true
+    });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}: ${res.body}`);
+    const { callSid } = JSON.parse(res.body);
+
+    const created = twilioRequests.find(r => r.path.endsWith('/Calls.json'));
+    if (!created || created.params.To !== '+1234567890') throw new Error('Twilio API not called with To');
+    if (!created.params.Url.endsWith('/voice/outbound-answer')) throw new Error('Unexpected answer URL');
+
+    const answer = await request('POST', '/voice/outbound-answer', `CallSid=${callSid}&To=%2B1234567890`);
+    if (!answer.body.includes('PIN')) throw new Error('Expected PIN challenge');
+    if (answer.body.includes('server is down')) throw new Error('Message spoken before PIN');
+
+    const verified = await request('POST', '/voice/verify-pin', `Digits=123456&CallSid=${callSid}&To=%2B1234567890`);
+    if (!verified.body.includes('Your server is down.')) throw new Error('Expected message after PIN');
+    if (!verified.body.includes('Hangup')) throw new Error('Expected hangup without converse');
+    if (JSON.parse(fs.readFileSync(RATE_LIMIT_PATH, 'utf8')).active[callSid]) throw new Error('Expected the slot released on hangup');
+
+    // The outcome is kept in the session store, so it outlives the call and a restart
+    await request('POST', '/voice/status', `CallSid=${callSid}&CallStatus=completed`);
+    const { waitForOutboundCall } = require('./outbound-call');
+    const apiUrl = `http://localhost:${PORT}`;
+    const outcome = await waitForOutboundCall(apiUrl, OUTBOUND_TOKEN, callSid, { timeoutMs: 1000, intervalMs: 20 });
+    if (outcome.outcome !== 'delivered') throw new Error(`Expected delivered, got ${outcome.outcome}`);
+    if (!fs.existsSync(path.join(TMP_DIR, 'sessions', `outcome-${callSid}.json`))) throw new Error('Expected outcome persisted');
+
+    // An unknown call is polled until the deadline, not reported as failed
+    const unknown = await waitForOutboundCall(apiUrl, OUTBOUND_TOKEN, 'CAunknown', { timeoutMs: 100, intervalMs: 20 });
+    if (unknown.reason !== 'timeout') throw new Error(`Expected timeout for unknown call, got ${unknown.reason}`);
+  });
+
+  // Test 20b: A conversation is never handed over without the PIN
+  await test('Outbound call with converse asks for the PIN', async () => {
+    const res = await apiRequest('/api/outbound-call', { to: '+1234567890', message: 'Let us talk.', converse: true });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}: ${res.body}`);
+    const { callSid } = JSON.parse(res.body);
+    const answer = await request('POST', '/voice/outbound-answer', `CallSid=${callSid}&To=%2B1234567890`);
+    if (!answer.body.includes('PIN') || answer.body.includes('Let us talk.')) throw new Error('Expected PIN challenge before the conversation');
+    await request('POST', '/voice/status', `CallSid=${callSid}&CallStatus=completed`);
+  });
+
+  // Test 21: System prompt comes from the configured persona template
+  await test('Agent prompt uses persona template and caller timezone', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B15550000003&CallSid=testPersona');
+    await request('POST', '/voice/verify-pin', 'Digits=222222&CallSid=testPersona&From=%2B15550000003');
+    await request('POST', '/voice/select-language', 'Digits=1&CallSid=testPersona');
+    await request('POST', '/voice/process-speech', 'SpeechResult=Hola&CallSid=testPersona');
+    const system = gatewayRequests[gatewayRequests.length - 1].messages[0].content;
+    if (system !== 'You are Test Persona talking to Lisbon in SPANISH (Europe/Lisbon).') {
+      throw new Error(`Unexpected system prompt: ${system}`);
+    }
+  });
+
+  // Test 22: A language added in config gets its own locale, voice and prompt name
+  await test('Config-only language uses its locale, voice and prompt name', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testPortuguese');
+    const menu = await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testPortuguese&From=%2B1234567890');
+    if (!menu.body.includes('language="pt-BR">Para português')) throw new Error('Expected Portuguese menu entry');
+
+    const res = await request('POST', '/voice/select-language', 'Digits=3&CallSid=testPortuguese');
+    if (!res.body.includes('Bem-vindo YourName.')) throw new Error('Expected Portuguese welcome from config.messages');
+    if (!res.body.includes('<Say voice="Polly.Camila-Neural" language="pt-BR">')) throw new Error('Expected pt-BR voice');
+    if (!res.body.includes('<Gather input="speech"') || !res.body.includes('language="pt-BR"')) {
+      throw new Error('Expected pt-BR speech gather');
+    }
+    if (res.body.includes('en-US') || res.body.includes('es-US')) throw new Error('Fell back to another locale');
+
+    await request('POST', '/voice/process-speech', 'SpeechResult=Ola&CallSid=testPortuguese');
+    const system = gatewayRequests[gatewayRequests.length - 1].messages[0].content;
+    if (!system.includes('in PORTUGUESE')) throw new Error(`Unexpected system prompt: ${system}`);
+  });
+
+  // Test 23: Catalog phrases can be overridden in config
+  await test('config.messages overrides catalog phrases', async () => {
+    const res = await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testNoSession');
+    if (!res.body.includes('Test session error. Goodbye.')) throw new Error('Expected overridden session error');
+  });
+
+  // Test 24: verify-config reports untranslated phrases
+  await test('verify-config reports missing translations', async () => {
+    const { spawnSync } = require('child_process');
+    const result = spawnSync('node', [path.join(__dirname, 'verify-config.js')], {
+      env: { ...process.env, VOICE_CONFIG_PATH: CONFIG_PATH },
+      encoding: 'utf8'
+    });
+    if (!/Messages \(es\): OK/.test(result.stdout)) throw new Error('Expected complete Spanish catalog');
+    if (!/Messages \(pt\): Missing translations: call\.noInput/.test(result.stdout)) {
+      throw new Error('Expected missing Portuguese translations');
+    }
+  });
+
+  // Test 25: Failed delivery is retried with the stored answer
+  await test('Worker retries delivery without regenerating the answer', async () => {
+    jobQueue.enqueue({ id: 'job-retry', message: 'What is the weather?', lang: 'en' });
+    const generated = gatewayRequests.length;
+
+    deliveryStatus = 500;
+    await runWorker();
+    const [pending] = jobQueue.list('pending');
+    if (pending?.status !== 'pending' || pending.attempts !== 1) throw new Error('Expected job back in queue after failed delivery');
+    if (pending.answer !== 'Reply to: What is the weather?') throw new Error('Expected generated answer kept on job');
+
+    deliveryStatus = 200;
+    await runWorker();
+    if (jobQueue.list('pending').length + jobQueue.list('claimed').length !== 0) throw new Error('Expected queue empty after delivery');
+    if (gatewayRequests.length !== generated + 1) throw new Error('Answer was regenerated on retry');
+    const delivered = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-retry');
+    if (delivered?.status !== 'delivered') throw new Error('Expected delivered job in processed log');
+    if (!deliveries[deliveries.length - 1].response.includes('Reply to: What is the weather?')) throw new Error('Expected answer delivered');
+  });
+
+  // Test 26: Exhausted jobs go to the dead-letter file
+  await test('Worker dead-letters jobs after max attempts', async () => {
+    jobQueue.enqueue({ id: 'job-dead', message: 'Never delivered', lang: 'en' });
+
+    deliveryStatus = 500;
+    await runWorker();
+    await runWorker();
+    deliveryStatus = 200;
+
+    if (jobQueue.list('pending').length !== 0) throw new Error('Expected job removed from queue');
+    const [dead] = readJsonl(DEAD_LETTER_PATH);
+    if (dead?.id !== 'job-dead' || dead.status !== 'failed' || dead.attempts !== 2) throw new Error('Expected job in dead-letter file');
+    if (!dead.lastError.includes('Delivery failed (webhook: HTTP 500)')) throw new Error(`Unexpected error: ${dead.lastError}`);
+  });
+
+  // Test 27: Job created on a call is claimed and delivered by the worker
+  await test('Job queued by the server is delivered by the worker', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testQueue');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testQueue&From=%2B1234567890');
+    await request('POST', '/voice/select-language', 'Digits=2&CallSid=testQueue');
+    await request('POST', '/voice/process-speech', 'SpeechResult=create a task check the server logs&CallSid=testQueue');
+    await request('POST', '/voice/confirm-job', 'Digits=1&CallSid=testQueue');
+
+    const [queued] = jobQueue.list('pending');
+    if (queued?.message !== 'check the server logs' || queued.status !== 'pending') throw new Error('Expected job file in pending/');
+
+    await runWorker();
+    if (jobQueue.list('pending').length !== 0) throw new Error('Expected job claimed and finished');
+    if (!deliveries[deliveries.length - 1].response.includes('Reply to: check the server logs')) throw new Error('Expected job delivered');
+  });
+
+  // Test 28: Only one worker can claim a job
+  await test('Job claims are exclusive', async () => {
+    const job = jobQueue.enqueue({ message: 'claim me', lang: 'en' });
+    const other = createJobQueue({ dir: QUEUE_DIR });
+    const first = jobQueue.claim();
+    const second = other.claim();
+    if (first?.id !== job.id || first.status !== 'in-progress') throw new Error('Expected first claim to win');
+    if (second) throw new Error('Second worker claimed the same job');
+
+    // A claim older than the lease is only recovered if its worker stopped renewing it
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(path.join(QUEUE_DIR, 'claimed', `${job.id}.json`), old, old);
+    jobQueue.heartbeat(first);
+    if (other.recoverStale(30000).length !== 0) throw new Error('Renewed claim recovered as stale');
+    fs.utimesSync(path.join(QUEUE_DIR, 'claimed', `${job.id}.json`), old, old);
+    if (other.recoverStale(30000)[0] !== job.id) throw new Error('Expected the abandoned claim recovered');
+
+    jobQueue.release(first);
+    if (jobQueue.list('pending')[0]?.id !== job.id) throw new Error('Expected released job back in pending/');
+    jobQueue.complete(jobQueue.claim());
+  });
+
+  // Test 29: Old JSONL queues are imported, skipping corrupt lines
+  await test('Worker imports legacy queue and tolerates corrupt lines', async () => {
+    fs.writeFileSync(LEGACY_QUEUE_PATH, [
+      JSON.stringify({ id: 'legacy1', message: 'Old job', lang: 'en' }),
+      '{"id": "broken", "message": ',
+      JSON.stringify({ message: 'Old job without id', lang: 'en' })
+    ].join('\n') + '\n');
+    fs.writeFileSync(path.join(QUEUE_DIR, 'pending', 'corrupt1.json'), '{not json');
+
+    const output = await runWorker();
+    if (!output.includes('Imported 2 job(s)') || !output.includes('1 unreadable')) throw new Error(`Unexpected import log: ${output}`);
+    if (fs.existsSync(LEGACY_QUEUE_PATH)) throw new Error('Expected legacy queue consumed');
+    if (!fs.existsSync(path.join(QUEUE_DIR, 'corrupt', 'corrupt1.json'))) throw new Error('Expected corrupt job set aside');
+    const sent = deliveries.map(d => d.query);
+    if (!sent.includes('Old job') || !sent.includes('Old job without id')) throw new Error('Expected imported jobs delivered');
+  });
+
+  // Test 30: Worker answers through the Gateway and records the backend
+  await test('Worker answers jobs through the Gateway agent', async () => {
+    jobQueue.enqueue({ id: 'job-gateway', message: 'Summarise my inbox', lang: 'en', type: 'query' });
+    await runWorker();
+    const request = gatewayRequests[gatewayRequests.length - 1];
+    if (request.backend !== 'gateway' || request.model !== 'groq/llama-3.3-70b-versatile') throw new Error('Expected Gateway request with provider model');
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-gateway');
+    if (done?.backend !== 'gateway') throw new Error('Expected backend recorded as gateway');
+  });
+
+  // Test 31: Groq is only used when the Gateway is unavailable
+  await test('Worker falls back to Groq when the Gateway is down', async () => {
+    jobQueue.enqueue({ id: 'job-fallback', message: 'Gateway is down', lang: 'en', type: 'query' });
+    gatewayDown = true;
+    await runWorker();
+    gatewayDown = false;
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-fallback');
+    if (done?.backend !== 'groq') throw new Error('Expected backend recorded as groq');
+    if (done.answer !== 'Reply to: Gateway is down') throw new Error('Expected Groq answer');
+
+    // An empty Groq answer is a failure, not a blank reply
+    jobQueue.enqueue({ id: 'job-fallback-empty', message: 'Nothing to say', lang: 'en', type: 'query' });
+    gatewayDown = true;
+    groqEmpty = true;
+    await runWorker();
+    gatewayDown = false;
+    groqEmpty = false;
+    const [pending] = jobQueue.list('pending');
+    jobQueue.remove('job-fallback-empty');
+    if (pending?.id !== 'job-fallback-empty' || !pending.lastError.includes('Groq returned an empty answer')) throw new Error('Expected empty Groq answer retried');
+  });
+
+  // Test 32: A slow agent times out per job type and is retried, not sent to Groq
+  await test('Worker applies per-type agent timeout without Groq fallback', async () => {
+    jobQueue.enqueue({ id: 'job-slow', message: 'Slow task', lang: 'en', type: 'job' });
+    const before = gatewayRequests.length;
+    gatewayDelayMs = 1000;
+    await runWorker();
+    gatewayDelayMs = 0;
+    const [pending] = jobQueue.list('pending');
+    if (pending?.id !== 'job-slow' || !pending.lastError.includes('timed out after 0.2s')) throw new Error('Expected timed-out job back in queue');
+    if (gatewayRequests.slice(before).some(r => r.backend === 'groq')) throw new Error('Timeout should not fall back to Groq');
+
+    await runWorker();
+    if (jobQueue.list('pending').length !== 0) throw new Error('Expected job answered on retry');
+  });
+
+  // Test 33: Channels are tried in order until one works, with receipts
+  await test('Delivery falls back to the next channel and records receipts', async () => {
+    jobQueue.enqueue({ id: 'job-fallback-channel', message: 'Fallback please', lang: 'en', callerNumber: '+1234567890' });
+    deliveryStatus = 500;
+    await runWorker({ asyncResponse: { method: ['webhook', 'sms'], webhook: { url: `http://localhost:${DELIVERY_PORT}/deliver`, retryDelayMs: 0 } } });
+    deliveryStatus = 200;
+
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-fallback-channel');
+    const receipts = (done?.receipts || []).map(r => `${r.channel}:${r.ok}`).join(',');
+    if (receipts !== 'webhook:false,sms:true') throw new Error(`Unexpected receipts: ${receipts}`);
+    if (!done.receipts[1].id?.startsWith('SM')) throw new Error('Expected SMS sid on receipt');
+    const sms = twilioRequests[twilioRequests.length - 1];
+    if (sms.params.To !== '+1234567890' || !sms.params.Body.includes('Reply to: Fallback please')) throw new Error('Expected SMS to caller');
+  });
+
+  // Test 34: Fan-out sends to every channel
+  await test('Delivery fan-out sends to all channels', async () => {
+    jobQueue.enqueue({ id: 'job-fanout', message: 'Tell everyone', lang: 'en', callerNumber: '+1234567890' });
+    const before = deliveries.length;
+    await runWorker({ asyncResponse: { method: ['sms', 'webhook'], fanOut: true, webhook: { url: `http://localhost:${DELIVERY_PORT}/deliver` } } });
+
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-fanout');
+    if ((done?.receipts || []).filter(r => r.ok).length !== 2) throw new Error('Expected receipts from both channels');
+    if (deliveries.length !== before + 1) throw new Error('Expected webhook delivery too');
+  });
+
+  // Test 35: A caller's own delivery preferences win over the global config
+  await test('Caller delivery preferences override global channels and language', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B15550000003&CallSid=testPrefs');
+    await request('POST', '/voice/verify-pin', 'Digits=222222&CallSid=testPrefs&From=%2B15550000003');
+    await request('POST', '/voice/select-language', 'Digits=2&CallSid=testPrefs');
+    await request('POST', '/voice/process-speech', 'SpeechResult=create a task water the plants&CallSid=testPrefs');
+    await request('POST', '/voice/confirm-job', 'Digits=1&CallSid=testPrefs');
+
+    const [queued] = jobQueue.list('pending');
+    if (queued?.lang !== 'es') throw new Error('Expected preferred language on job');
+
+    const before = deliveries.length;
+    await runWorker();
+    const sms = twilioRequests[twilioRequests.length - 1];
+    if (sms.params.To !== '+15559990000') throw new Error(`Expected SMS to preferred number, got ${sms.params.To}`);
+    if (!sms.params.Body.includes('Respuesta a tu pregunta de voz')) throw new Error('Expected Spanish header');
+    if (deliveries.length !== before) throw new Error('Global webhook should not be used');
+  });
+
+  // Test 36: English and Spanish time expressions become due times and recurrences
+  await test('Schedule parser handles English and Spanish expressions', async () => {
+    const now = new Date('2026-10-19T14:00:00Z'); // Monday, 10:00 in New York
+    const parse = text => parseSchedule(text, { timezone: 'America/New_York', now });
+    const cases = [
+      ['check the backups tomorrow at 9 am', 'check the backups', '2026-10-20T13:00:00.000Z'],
+      ['revisa el correo en dos horas', 'revisa el correo', '2026-10-19T16:00:00.000Z'],
+      ['busca vuelos el viernes a las 5', 'busca vuelos', '2026-10-23T21:00:00.000Z'],
+      ['send me the news every Monday at 8', 'send me the news', '2026-10-26T12:00:00.000Z'],
+      ['todos los días a las 7 de la mañana enviar el clima', 'enviar el clima', '2026-10-20T11:00:00.000Z'],
+    ];
+    for (const [text, task, runAt] of cases) {
+      const result = parse(text);
+      if (result.task !== task || result.runAt !== runAt) throw new Error(`"${text}" -> ${JSON.stringify(result)}`);
+    }
+    if (parse('send me the news every Monday at 8').recurrence?.every !== 'week') throw new Error('Expected weekly recurrence');
+    if (parse('check the server logs').runAt) throw new Error('Plain task should not be scheduled');
+  });
+
+  // Test 37: A scheduled job is confirmed with its time and held until due
+  await test('Scheduled job is spoken back and waits until due', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testSchedule');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testSchedule&From=%2B1234567890');
+    await request('POST', '/voice/select-language', 'Digits=2&CallSid=testSchedule');
+    const confirm = await request('POST', '/voice/process-speech', 'SpeechResult=schedule check the backups tomorrow at 9 am&CallSid=testSchedule');
+    if (!confirm.body.includes('You want me to check the backups, tomorrow at 9:00 AM.')) throw new Error('Expected schedule in confirmation');
+    const done = await request('POST', '/voice/confirm-job', 'Digits=1&CallSid=testSchedule');
+    if (!done.body.includes('The task is scheduled tomorrow at 9:00 AM.')) throw new Error('Expected schedule in acknowledgement');
+
+    const [job] = jobQueue.list('pending');
+    if (job?.message !== 'check the backups' || !(Date.parse(job.runAt) > Date.now())) throw new Error('Expected job stored with future runAt');
+
+    const before = deliveries.length;
+    await runWorker();
+    if (deliveries.length !== before || jobQueue.list('pending').length !== 1) throw new Error('Job ran before it was due');
+
+    fs.writeFileSync(path.join(QUEUE_DIR, 'pending', `${job.id}.json`), JSON.stringify({ ...job, runAt: new Date(Date.now() - 1000).toISOString() }));
+    await runWorker();
+    if (deliveries.length !== before + 1 || jobQueue.list('pending').length !== 0) throw new Error('Expected job delivered once due');
+  });
+
+  // Test 38: A recurring job goes back to the queue for its next run
+  await test('Recurring job is rescheduled after delivery', async () => {
+    jobQueue.enqueue({
+      id: 'job-daily', message: 'Daily digest', lang: 'en', type: 'job',
+      runAt: new Date(Date.now() - 1000).toISOString(),
+      recurrence: { every: 'day', interval: 1, time: '09:00', timezone: 'UTC' }
+    });
+    await runWorker();
+
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-daily');
+    if (done?.answer !== 'Reply to: Daily digest') throw new Error('Expected first run delivered');
+    const [next] = jobQueue.list('pending');
+    if (next?.id !== 'job-daily' || next.runs !== 1 || next.attempts !== 0 || next.answer) throw new Error('Expected fresh job for the next run');
+    if (!(Date.parse(next.runAt) > Date.now()) || !next.runAt.endsWith('T09:00:00.000Z')) throw new Error(`Unexpected next run: ${next.runAt}`);
+    fs.rmSync(path.join(QUEUE_DIR, 'pending', 'job-daily.json'));
+  });
+
+  // Test 39: Callers can ask about their jobs, hear answers and cancel pending ones
+  await test('Job status by voice reads results and cancels pending jobs', async () => {
+    jobQueue.enqueue({ id: 'job-status-open', message: 'Book a table', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    jobQueue.enqueue({ id: 'job-status-other', message: 'Not yours', lang: 'en', type: 'job', callerNumber: '+15550000003' });
+    fs.appendFileSync(path.join(TMP_DIR, 'processed-queries.jsonl'), JSON.stringify({
+      id: 'job-status-done', message: 'Summarise my inbox', callerNumber: '+1234567890',
+      answer: '**Three** new emails.', status: 'delivered', processedAt: new Date().toISOString()
+    }) + '\n');
+
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testStatus');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testStatus&From=%2B1234567890');
+    await request('POST', '/voice/select-language', 'Digits=2&CallSid=testStatus');
+    const list = await request('POST', '/voice/process-speech', 'SpeechResult=what is the status of my tasks&CallSid=testStatus');
+    if (!list.body.includes('Task 1: Book a table. Waiting to run.') || !list.body.includes('Task 2: Summarise my inbox. Finished.')) {
+      throw new Error('Expected open and finished jobs listed');
+    }
+    if (list.body.includes('Not yours')) throw new Error('Listed another caller\'s job');
+
+    const result = await request('POST', '/voice/job-select', 'Digits=2&CallSid=testStatus');
+    if (!result.body.includes('Result for Summarise my inbox: Three new emails.')) throw new Error('Expected answer read aloud');
+
+    await request('POST', '/voice/job-select', 'Digits=1&CallSid=testStatus');
+    const cancel = await request('POST', '/voice/job-action', 'Digits=1&CallSid=testStatus');
+    if (!cancel.body.includes('Task cancelled.')) throw new Error('Expected cancellation confirmed');
+    const pending = jobQueue.list('pending').map(job => job.id);
+    if (pending.includes('job-status-open') || !pending.includes('job-status-other')) throw new Error('Expected only the caller\'s job removed');
+    jobQueue.remove('job-status-other');
+  });
+
+  // Test 40: Job status is also a main-menu option
+  await test('Main menu offers job status by DTMF', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testStatusMenu');
+    const menu = await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testStatusMenu&From=%2B1234567890');
+    if (!menu.body.includes('press eight')) throw new Error('Expected job status menu prompt');
+    const list = await request('POST', '/voice/select-language', 'Digits=8&CallSid=testStatusMenu');
+    if (!list.body.includes('Pending tasks: 0. Finished tasks: ')) throw new Error('Expected job summary');
+    if (!list.body.includes('action="/voice/job-select"')) throw new Error('Expected DTMF job menu');
+  });
+
+  // Test 41: The call channel phones the caller and reads the answer after the PIN
+  const callChannel = (call) => ({
+    asyncResponse: { method: ['call', 'sms'], call: { apiUrl: `http://localhost:${PORT}`, pollMs: 20, waitMs: 5000, ...call } }
+  });
+
+  await test('Call delivery reads the answer after the caller\'s PIN', async () => {
+    jobQueue.enqueue({ id: 'job-call', message: 'Call me back', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    const since = twilioRequests.length;
+    const worker = runWorker(callChannel());
+
+    const { params } = await waitForTwilio('/Calls.json', since);
+    const callSid = 'CA' + String(twilioRequests.length).padStart(32, '0');
+    if (params.To !== '+1234567890' || params.MachineDetection) throw new Error('Unexpected call parameters');
+    const answer = await request('POST', '/voice/outbound-answer', `CallSid=${callSid}&To=%2B1234567890`);
+    if (!answer.body.includes('enter your 6 digit PIN') || answer.body.includes('Call me back')) throw new Error('Expected PIN before the answer');
+    const heard = await request('POST', '/voice/verify-pin', `Digits=123456&CallSid=${callSid}&To=%2B1234567890`);
+    if (!heard.body.includes('Reply to: Call me back')) throw new Error('Expected answer read aloud');
+    if (heard.body.includes('Response to your voice query')) throw new Error('Text header should not be read aloud');
+    await request('POST', '/voice/status', `CallSid=${callSid}&CallStatus=completed`);
+    await worker;
+
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-call');
+    const receipts = (done?.receipts || []).map(r => `${r.channel}:${r.ok}:${r.id}`).join(',');
+    if (receipts !== `call:true:${callSid}`) throw new Error(`Unexpected receipts: ${receipts}`);
+  });
+
+  // Test 42: One-time code instead of the PIN
+  await test('Call delivery can require a texted one-time code', async () => {
+    jobQueue.enqueue({ id: 'job-call-code', message: 'Code please', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    const since = twilioRequests.length;
+    const worker = runWorker(callChannel({ auth: 'code' }));
+
+    const sms = await waitForTwilio('/Messages.json', since);
+    const code = sms.params.Body.match(/(\d{6})/)?.[1];
+    if (!code) throw new Error(`Expected code by SMS: ${sms.params.Body}`);
+    await waitForTwilio('/Calls.json', since);
+    const callSid = 'CA' + String(twilioRequests.length).padStart(32, '0');
+
+    const answer = await request('POST', '/voice/outbound-answer', `CallSid=${callSid}&To=%2B1234567890`);
+    if (!answer.body.includes('code we just sent you')) throw new Error('Expected code prompt');
+    const wrong = await request('POST', '/voice/verify-pin', `Digits=123456&CallSid=${callSid}&To=%2B1234567890`);
+    if (wrong.body.includes('Code please')) throw new Error('PIN accepted in place of the code');
+    const heard = await request('POST', '/voice/verify-pin', `Digits=${code}&CallSid=${callSid}&To=%2B1234567890`);
+    if (!heard.body.includes('Reply to: Code please')) throw new Error('Expected answer after code');
+    await worker;
+  });
+
+  // Test 43: Unanswered calls fall back; voicemail leaves the answer on the machine
+  await test('Unanswered call falls back, voicemail records the answer', async () => {
+    jobQueue.enqueue({ id: 'job-call-missed', message: 'Nobody home', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    let since = twilioRequests.length;
+    let worker = runWorker(callChannel());
+    await waitForTwilio('/Calls.json', since);
+    let callSid = 'CA' + String(twilioRequests.length).padStart(32, '0');
+    await request('POST', '/voice/status', `CallSid=${callSid}&CallStatus=no-answer`);
+    await worker;
+
+    let done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-call-missed');
+    const receipts = (done?.receipts || []).map(r => `${r.channel}:${r.ok}`).join(',');
+    if (receipts !== 'call:false,sms:true' || done.receipts[0].error !== 'Call no-answer') throw new Error(`Unexpected receipts: ${receipts}`);
+
+    jobQueue.enqueue({ id: 'job-call-voicemail', message: 'Leave a message', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    since = twilioRequests.length;
+    worker = runWorker(callChannel({ voicemail: true }));
+    const { params } = await waitForTwilio('/Calls.json', since);
+    if (params.MachineDetection !== 'DetectMessageEnd') throw new Error('Expected answering machine detection');
+    callSid = 'CA' + String(twilioRequests.length).padStart(32, '0');
+    const answer = await request('POST', '/voice/outbound-answer', `CallSid=${callSid}&To=%2B1234567890&AnsweredBy=machine_end_beep`);
+    if (!answer.body.includes('Reply to: Leave a message')) throw new Error('Expected answer left on voicemail');
+    await worker;
+
+    done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-call-voicemail');
+    if (done?.receipts?.[0]?.channel !== 'call' || !done.receipts[0].ok) throw new Error('Expected voicemail counted as delivered');
+
+    // The webhook server being down fails the call channel, not the whole delivery
+    jobQueue.enqueue({ id: 'job-call-down', message: 'Server is down', lang: 'en', type: 'job', callerNumber: '+1234567890' });
+    await runWorker(callChannel({ apiUrl: 'http://localhost:1' }));
+    done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-call-down');
+    const downReceipts = (done?.receipts || []).map(r => `${r.channel}:${r.ok}`).join(',');
+    if (downReceipts !== 'call:false,sms:true' || !done.receipts[0].error) throw new Error(`Unexpected receipts: ${downReceipts}`);
+  });
+
+  // Test 44: Webhook deliveries are signed, versioned and retried on 5xx
+  await test('Webhook delivery is signed and retried after a server error', async () => {
+    jobQueue.enqueue({ id: 'job-signed', message: 'Sign this', lang: 'en', callerNumber: '+1234567890' });
+    const before = deliveryRequests.length;
+    deliveryStatuses = [503];
+    await runWorker();
+
+    const sent = deliveryRequests.slice(before);
+    if (sent.length !== 2) throw new Error(`Expected one retry, got ${sent.length} requests`);
+    for (const { headers, body } of sent) {
+      if (headers['idempotency-key'] !== 'job-signed') throw new Error('Expected the job id as idempotency key on every try');
+      if (!verifyPayload('test-webhook-secret', headers['x-voice-signature'], headers['x-voice-timestamp'], body)) throw new Error('Bad signature');
+    }
+    if (verifyPayload('test-webhook-secret', sent[1].headers['x-voice-signature'], sent[1].headers['x-voice-timestamp'], sent[1].body + ' ')) {
+      throw new Error('Signature should not match a changed body');
+    }
+
+    const payload = JSON.parse(sent[1].body);
+    if (payload.version !== 1 || payload.jobId !== 'job-signed' || payload.jobType !== 'query') throw new Error('Expected versioned payload with job id');
+    if (payload.attempt.delivery !== 1 || payload.attempt.request !== 2 || payload.attempt.of !== 3) throw new Error(`Unexpected attempt: ${JSON.stringify(payload.attempt)}`);
+    if (!payload.timings.queuedAt || !payload.timings.answeredAt || !payload.timings.sentAt) throw new Error('Expected timings');
+
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-signed');
+    if (done?.receipts?.[0]?.id !== 'job-signed') throw new Error('Expected delivered with idempotency key on receipt');
+  });
+
+  // Test 45: Client errors are not retried
+  await test('Webhook delivery is not retried after a client error', async () => {
+    jobQueue.enqueue({ id: 'job-rejected', message: 'Bad request', lang: 'en' });
+    const before = deliveryRequests.length;
+    deliveryStatus = 400;
+    await runWorker();
+    deliveryStatus = 200;
+
+    if (deliveryRequests.length !== before + 1) throw new Error('Expected a single request');
+    const [pending] = jobQueue.list('pending');
+    if (!pending?.lastError.includes('webhook: HTTP 400')) throw new Error('Expected job back in queue with the HTTP error');
+    await runWorker();
+  });
+
+  // Test 46: Long Markdown answers are escaped and split at paragraphs
+  const telegramChannel = (telegram) => ({
+    asyncResponse: { method: 'telegram', telegram: { botToken: 'test-bot', chatId: '42', ...telegram } }
+  });
+
+  await test('Telegram answers are escaped and split into messages', async () => {
+    const paragraph = n => `**Part ${n}:** check my_config_file and 2 * 3 < 7 & more. `.repeat(30).trim();
+    const answer = [1, 2, 3, 4, 5].map(paragraph).join('\n\n');
+    jobQueue.enqueue({ id: 'job-telegram-long', message: 'Explain my_setup', lang: 'en', answer });
+    const before = telegramRequests.length;
+    await runWorker(telegramChannel());
+
+    const sent = telegramRequests.slice(before);
+    if (sent.length < 2 || sent.some(r => !r.path.endsWith('/sendMessage'))) throw new Error(`Expected several messages, got ${sent.length}`);
+    if (sent.some(r => r.body.parse_mode !== 'HTML' || r.body.text.length > 4096 || r.body.chat_id !== '42')) throw new Error('Expected HTML parts within the limit');
+    if (!sent[0].body.text.startsWith('📞 <b>Response to your voice query:</b>\n<i>"Explain my_setup"</i>')) throw new Error(`Unexpected header: ${sent[0].body.text.slice(0, 80)}`);
+    const text = sent.map(r => r.body.text).join('\n\n');
+    if (!text.includes('<b>Part 5:</b> check my_config_file and 2 * 3 &lt; 7 &amp; more.')) throw new Error('Expected escaped text with bold kept');
+    if (sent.some(r => !r.body.text.endsWith('more.'))) throw new Error('Expected parts to end at paragraph boundaries');
+
+    const v2 = formatTelegram('*Done* in 1.5s (see my_file)!', 'MarkdownV2');
+    if (v2 !== '*Done* in 1\\.5s \\(see my\\_file\\)\\!') throw new Error(`Unexpected MarkdownV2: ${v2}`);
+  });
+
+  // Test 47: Text Telegram cannot parse is resent without formatting
+  await test('Telegram falls back to plain text on parse errors', async () => {
+    jobQueue.enqueue({ id: 'job-telegram-plain', message: 'Odd markup', lang: 'en', answer: 'Use **BADMARKUP** carefully' });
+    const before = telegramRequests.length;
+    await runWorker(telegramChannel({ parseMode: 'MarkdownV2' }));
+
+    const [formatted, plain] = telegramRequests.slice(before);
+    if (formatted?.body.parse_mode !== 'MarkdownV2') throw new Error('Expected a MarkdownV2 attempt first');
+    if (plain?.body.parse_mode !== undefined || !plain.body.text.endsWith('Use BADMARKUP carefully')) throw new Error('Expected plain-text retry');
+    const done = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-telegram-plain');
+    if (done?.receipts?.[0]?.channel !== 'telegram' || !done.receipts[0].ok) throw new Error('Expected delivered on the plain retry');
+  });
+
+  // Test 48: A voice note recording can be attached to the answer
+  await test('Telegram attaches the voice note audio when configured', async () => {
+    const audioFile = path.join(TMP_DIR, 'note.wav');
+    fs.writeFileSync(audioFile, 'RIFF-test-audio');
+    jobQueue.enqueue({ id: 'job-telegram-audio', message: 'My note', lang: 'en', answer: 'Noted.', audioFile });
+    jobQueue.enqueue({ id: 'job-telegram-no-audio', message: 'Lost note', lang: 'en', answer: 'Noted.', audioFile: path.join(TMP_DIR, 'missing.wav') });
+    const before = telegramRequests.length;
+    await runWorker(telegramChannel({ attachAudio: true }));
+
+    const sent = telegramRequests.slice(before);
+    const upload = sent.find(r => r.path.endsWith('/sendDocument'));
+    if (!upload?.body.includes('RIFF-test-audio') || !upload.body.includes('filename="note.wav"')) throw new Error('Expected the recording uploaded');
+    if (sent.filter(r => r.path.endsWith('/sendMessage')).length !== 2) throw new Error('Expected both answers sent');
+    const lost = readJsonl(path.join(TMP_DIR, 'processed-queries.jsonl')).find(job => job.id === 'job-telegram-no-audio');
+    if (!lost?.receipts?.[0]?.ok || !lost.receipts[0].warning?.includes('Audio not attached')) throw new Error('Expected delivery with a warning for the missing file');
+  });
+
+  // Media stream tests: restart the server with streaming STT
+  const STREAM_CONFIG_PATH = path.join(TMP_DIR, 'voice-config-stream.json');
+  fs.writeFileSync(STREAM_CONFIG_PATH, JSON.stringify({
+    ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')),
+    sttProvider: 'groq',
+    mediaStream: { enabled: true, bidirectional: true, port: STREAM_PORT, wsUrl: `ws://localhost:${STREAM_PORT}/media-stream` },
+    tts: { elevenlabs: { apiKey: 'test-tts-key', apiBaseUrl: `http://localhost:${GATEWAY_PORT}/elevenlabs` } }
+  }));
+  await stopServer();
+  await startServer(STREAM_CONFIG_PATH);
+  // One utterance: a pause, 400 ms of speech, then enough silence to end it
+  const utterance = [...audioFrames(200), ...audioFrames(400, 3000), ...audioFrames(800)];
+
+  // Test 49: Streamed speech goes through the agent and the reply is pushed to the call
+  await test('Media stream transcripts drive the conversation', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testStream');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testStream&From=%2B1234567890');
+    const welcome = await request('POST', '/voice/select-language', 'Digits=2&CallSid=testStream');
+    if (!welcome.body.includes(`<Stream url="ws://localhost:${STREAM_PORT}/media-stream"`) || !welcome.body.includes('<Parameter name="callSid" value="testStream"')) {
+      throw new Error('Expected <Connect><Stream> for the call');
+    }
+    if (welcome.body.includes('<Gather input="speech"') || !welcome.body.includes('/voice/stream-fallback')) throw new Error('Expected fallback after the stream, not Gather');
+
+    sttText = 'What is the capital of France';
+    const since = twilioRequests.length;
+    const stt = sttRequests.length;
+    await streamCall('testStream', utterance);
+    const { params } = await waitForTwilio('/Calls/testStream.json', since);
+    if (sttRequests.length !== stt + 1) throw new Error('Expected streamed audio transcribed');
+    // The stream has stopped by the time Groq answers, so the reply cannot be spoken on it
+    if (!params.Twiml.includes('<Say') || !params.Twiml.includes('Reply to: What is the capital of France')) throw new Error('Expected agent reply pushed to the call');
+    if (!serverOutput.includes('"action":"stream_speak_error"')) throw new Error('Expected speaking on the closed stream to fail over to <Say>');
+    if (!params.Twiml.includes('<Stream')) throw new Error('Expected the reply to listen on the stream again');
+
+    sttText = 'create a task water the plants';
+    const jobSince = twilioRequests.length;
+    await streamCall('testStream', utterance);
+    const job = await waitForTwilio('/Calls/testStream.json', jobSince);
+    if (!job.params.Twiml.includes('action="https://your-domain.ngrok.io/voice/confirm-job"')) throw new Error('Expected job confirmation with absolute URLs');
+  });
+
+  // Test 50: A failed stream falls back to Gather for the rest of the call
+  await test('Failed media stream falls back to Gather', async () => {
+    const fallback = await request('POST', '/voice/stream-fallback', 'CallSid=testStream');
+    if (!fallback.body.includes('<Gather input="speech"') || fallback.body.includes('<Stream')) throw new Error('Expected Gather after stream failure');
+
+    const res = await request('POST', '/voice/process-speech', 'SpeechResult=Hello again&CallSid=testStream');
+    if (!res.body.includes('Reply to: Hello again') || res.body.includes('<Stream')) throw new Error('Expected the call to stay on Gather');
+  });
+
+  // Test 51: Replies are spoken over the stream, and the caller can talk over them
+  await test('Media stream replies play as mu-law with marks and barge-in', async () => {
+    const WebSocket = require('ws');
+    const { createMediaStreamServer } = require('./media-stream-handler');
+    const { appendTurn, trimReply } = require('./conversation');
+    const streams = createMediaStreamServer({
+      sttProvider: 'groq',
+      ttsProvider: 'elevenlabs',
+      tts: { elevenlabs: { apiKey: 'test-tts-key', apiBaseUrl: `http://localhost:${GATEWAY_PORT}/elevenlabs` } },
+      mediaStream: { bargeIn: { minFrames: 3 } }
+    }, { port: PLAYBACK_PORT });
+    const ws = new WebSocket(`ws://localhost:${PLAYBACK_PORT}/media-stream`);
+
+    try {
+      const received = [];
+      ws.on('message', (message) => received.push(JSON.parse(message)));
+      await new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+      if ((await streams.speak('testBargeIn', 'Hello.')).ok) throw new Error('Expected no stream to speak on');
+      ws.send(JSON.stringify({ event: 'start', start: { streamSid: 'MZbargeIn', callSid: 'testBargeIn' } }));
+      await new Promise(r => setTimeout(r, 50));
+
+      let heard = null;
+      const ttsBefore = ttsRequests.length;
+      const result = await streams.speak('testBargeIn', 'The first part. The second part.', { lang: 'es', onInterrupted: (text) => { heard = text; } });
+      await new Promise(r => setTimeout(r, 50));
+      if (!result.ok || ttsRequests.length !== ttsBefore + 2) throw new Error('Expected one synthesis per sentence');
+      if (ttsRequests[ttsBefore].text !== 'The first part.' || !ttsRequests[ttsBefore].path.includes('output_format=pcm_16000')) throw new Error('Expected PCM requested per sentence');
+
+      const media = received.filter(m => m.event === 'media');
+      const marks = received.filter(m => m.event === 'mark');
+      if (media.length !== 10 || media.some(m => Buffer.from(m.media.payload, 'base64').length !== 160 || m.streamSid !== 'MZbargeIn')) {
+        throw new Error('Expected 20 ms mu-law frames (100 ms per sentence at 8 kHz)');
+      }
+      if (marks.length !== 2 || received.indexOf(marks[0]) !== 5) throw new Error('Expected a mark after each sentence');
+      if (!streams.isSpeaking('testBargeIn')) throw new Error('Expected playback in progress');
+
+      // The first sentence plays, then the caller talks over the second
+      ws.send(JSON.stringify({ event: 'mark', streamSid: 'MZbargeIn', mark: marks[0].mark }));
+      for (let i = 0; i < 3; i++) {
+        ws.send(JSON.stringify({ event: 'media', streamSid: 'MZbargeIn', media: { payload: Buffer.alloc(160, 0x00).toString('base64') } }));
+      }
+      await new Promise(r => setTimeout(r, 50));
+      if (!received.some(m => m.event === 'clear' && m.streamSid === 'MZbargeIn')) throw new Error('Expected clear on barge-in');
+      if (heard !== 'The first part.' || streams.isSpeaking('testBargeIn')) throw new Error(`Expected the heard part reported, got ${heard}`);
+
+      // A reply replacing one still playing stops it without a barge-in
+      let replaced = false;
+      await streams.speak('testBargeIn', 'An older answer.', { onInterrupted: () => { replaced = true; } });
+      const clears = received.filter(m => m.event === 'clear').length;
+      await streams.speak('testBargeIn', 'A newer answer.', { onInterrupted: () => {} });
+      await new Promise(r => setTimeout(r, 50));
+      if (replaced || received.filter(m => m.event === 'clear').length !== clears + 1) throw new Error('Expected the older reply cleared without reporting an interruption');
+
+      // Only the interrupted reply is trimmed, even when a newer one follows it
+      const limits = { maxTurns: 12, maxTokens: 1500, summaryMaxChars: 800, turnSummaryChars: 160 };
+      const state = {};
+      appendTurn(state, 'user', 'Tell me', limits);
+      const turnId = appendTurn(state, 'assistant', 'The first part. The second part.', limits);
+      appendTurn(state, 'user', 'And then?', limits);
+      appendTurn(state, 'assistant', 'Then the rest.', limits);
+      trimReply(state, turnId, heard);
+      if (state.history[1].content !== 'The first part. … [interrupted by the caller]') throw new Error('Expected the reply trimmed to what was heard');
+      if (state.history[3].content !== 'Then the rest.') throw new Error('Expected the newer reply left alone');
+    } finally {
+      ws.close();
+      streams.close();
+    }
+  });
+
+  // Test 52: Utterances are cut from call audio by energy and silence
+  await test('admin vad finds utterances in a recording with configurable thresholds', async () => {
+    const { execFileSync } = require('child_process');
+    const fixture = path.join(TMP_DIR, 'two-questions.wav');
+    fs.writeFileSync(fixture, wavRecording([
+      ...audioFrames(500), ...audioFrames(400, 3000), ...audioFrames(900),
+      ...audioFrames(600, 1500), ...audioFrames(300)
+    ]));
+    const vad = (...args) => execFileSync('node', [path.join(__dirname, 'admin.js'), 'vad', fixture, ...args], {
+      env: { ...process.env, VOICE_CONFIG_PATH: STREAM_CONFIG_PATH }
+    }).toString();
+
+    const defaults = vad();
+    if (!defaults.includes('2 utterance(s) in 2.70s') || !defaults.includes('1. 0.30s - 1.60s')) throw new Error(`Expected two utterances, got:\n${defaults}`);
+    if (!vad('2000').includes('1 utterance(s)')) throw new Error('Expected the quieter question below a higher threshold');
+    if (!vad('500', '1000').includes('1 utterance(s)')) throw new Error('Expected a longer silence setting to join the questions');
+  });
+
+  // Test 53: Groq hears each utterance while the stream stays open, and the reply is spoken on it
+  await test('Groq stream transcribes per utterance and answers on the open stream', async () => {
+    await request('POST', '/voice/incoming', 'From=%2B1234567890&CallSid=testVad');
+    await request('POST', '/voice/verify-pin', 'Digits=123456&CallSid=testVad&From=%2B1234567890');
+    await request('POST', '/voice/select-language', 'Digits=1&CallSid=testVad');
+
+    sttText = 'What time is it';
+    const since = twilioRequests.length;
+    const stt = sttRequests.length;
+    const tts = ttsRequests.length;
+    const received = await streamCall('testVad', utterance, 1500);
+
+    if (sttRequests.length !== stt + 1) throw new Error('Expected one transcription for one utterance');
+    if (!ttsRequests.slice(tts).some(r => r.text === 'Reply to: What time is it')) throw new Error('Expected the reply synthesized');
+    if (!received.some(m => m.event === 'media') || !received.some(m => m.event === 'mark')) throw new Error('Expected the reply played on the stream');
+    if (twilioRequests.slice(since).some(r => r.path.endsWith('/Calls/testVad.json'))) throw new Error('Expected the call left on the stream');
+  });
+
+  // Test 53b: The next turn registered while a stream is still open survives that stream's stop
+  await test('Stream stop keeps a newer registration for the call', async () => {
+    const { createMediaStreamServer } = require('./media-stream-handler');
+    const streams = createMediaStreamServer({
+      sttProvider: 'groq',
+      stt: { groq: { apiKey: 'test-groq-key', apiBaseUrl: `http://localhost:${GATEWAY_PORT}/groq/v1` } }
+    }, { port: PLAYBACK_PORT });
+
+    try {
+      const transcripts = [];
+      // Like listen() after a reply: the next turn is registered before
+      // Twilio stops the old stream
+      const registerTurn = () => streams.registerSession('testNextTurn', {
+        lang: 'en',
+        onTranscript: (text) => {
+          transcripts.push(text);
+          registerTurn();
+        }
+      });
+      registerTurn();
+
+      sttText = 'First question';
+      await streamCall('testNextTurn', utterance, 1000, PLAYBACK_PORT);
+      sttText = 'Second question';
+      await streamCall('testNextTurn', utterance, 1000, PLAYBACK_PORT);
+      if (transcripts.join(' | ') !== 'First question | Second question') throw new Error(`Unexpected transcripts: ${JSON.stringify(transcripts)}`);
+    } finally {
+      streams.close();
+    }
+  });
+
+  // Test 54: OpenAI-compatible transcription with a configurable base URL and model
+  await test('OpenAI-compatible and Groq STT use the configured endpoint and model', async () => {
+    const { transcribeBatch, getLanguageCode } = require('./stt-providers');
+    const { mulawToWav } = require('./media-stream-handler');
+    const wav = mulawToWav(Buffer.concat(utterance));
+    sttText = 'Hola desde el servidor';
+
+    const before = sttRequests.length;
+    const local = await transcribeBatch('openai', wav, {
+      stt: { openai: { apiBaseUrl: `http://localhost:${GATEWAY_PORT}/whisper-server/v1/`, model: 'Systran/faster-whisper-small' } }
+    }, { language: getLanguageCode('openai', 'es') });
+    if (local.text !== 'Hola desde el servidor') throw new Error('Expected the server transcript');
+    const sent = sttRequests[before];
+    if (sent.path !== '/whisper-server/v1/audio/transcriptions' || sent.model !== 'Systran/faster-whisper-small' || sent.language !== 'es') {
+      throw new Error(`Unexpected request: ${JSON.stringify(sent)}`);
+    }
+
+    await transcribeBatch('groq', wav, {
+      stt: { groq: { apiKey: 'test-groq-key', apiBaseUrl: `http://localhost:${GATEWAY_PORT}/groq-proxy/v1`, model: 'whisper-large-v3' } }
+    });
+    const groq = sttRequests[before + 1];
+    if (groq.path !== '/groq-proxy/v1/audio/transcriptions' || groq.model !== 'whisper-large-v3' || groq.authorization !== 'Bearer test-groq-key') {
+      throw new Error(`Unexpected Groq request: ${JSON.stringify(groq)}`);
+    }
+
+    // A hanging server times out instead of holding up the utterance
+    const error = await transcribeBatch('openai', wav, {
+      stt: { openai: { apiBaseUrl: `http://localhost:${GATEWAY_PORT}/slow/v1`, timeoutMs: 100 } }
+    }).catch(e => e);
+    if (error?.message !== 'OpenAI-compatible timed out after 0.1s') throw new Error(`Expected a timeout, got ${error?.message}`);
+  });
+
+  // Test 55: whisper.cpp runs locally on 16 kHz WAVs, here against a stand-in binary
+  await test('whisper.cpp provider transcribes stream utterances with the local binary', async () => {
+    const os = require('os');
+    const { transcribeBatch } = require('./stt-providers');
+    const { createMediaStreamServer } = require('./media-stream-handler');
+    const binary = path.join(TMP_DIR, 'whisper-cli');
+    const model = path.join(TMP_DIR, 'ggml-base.bin');
+    fs.writeFileSync(model, 'model');
+    fs.writeFileSync(binary, `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const arg = flag => args[args.indexOf(flag) + 1];
+if (!fs.existsSync(arg('-m'))) { console.error('failed to load model'); process.exit(1); }
+const wav = fs.readFileSync(arg('-f'));
+if (wav.readUInt32LE(24) !== 16000) { console.error('WAV file must be 16 kHz'); process.exit(1); }
+console.log('\\n [' + arg('-l') + '] heard ' + (wav.length - 44) + ' bytes\\n');
+`, { mode: 0o755 });
+    const config = {
+      sttProvider: 'whisper-cpp',
+      stt: { 'whisper-cpp': { binary, model } },
+      mediaStream: { bidirectional: false }
+    };
+    const tmpBefore = fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('whisper-')).length;
+
+    const streams = createMediaStreamServer(config, { port: PLAYBACK_PORT });
+    try {
+      const transcripts = [];
+      streams.registerSession('testWhisper', { lang: 'es', onTranscript: (text) => transcripts.push(text) });
+      await streamCall('testWhisper', utterance, 1000, PLAYBACK_PORT);
+      // 200 ms pre-roll + 400 ms speech + 700 ms silence, as 16-bit samples at 16 kHz
+      if (transcripts.length !== 1 || transcripts[0] !== '[es] heard 41600 bytes') throw new Error(`Unexpected transcripts: ${JSON.stringify(transcripts)}`);
+    } finally {
+      streams.close();
+    }
+
+    const missing = await transcribeBatch('whisper-cpp', Buffer.alloc(44), {
+      stt: { 'whisper-cpp': { binary, model: path.join(TMP_DIR, 'missing.bin') } }
+    }).then(() => null, error => error.message);
+    if (!missing?.includes('failed to load model')) throw new Error(`Expected the binary's error, got ${missing}`);
+    if (fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('whisper-')).length !== tmpBefore) throw new Error('Expected temporary WAVs removed');
+  });
+
+  // Test 56: Provider health counts errors and latency and cools down repeat failures
+  await test('STT health skips a failing provider for the cooldown', async () => {
+    const { createSttHealth } = require('./stt-health');
+    let clock = 1000000;
+    const health = createSttHealth({ maxConsecutiveErrors: 2, cooldownMs: 30000, now: () => clock });
+    const chain = ['deepgram', 'groq', 'twilio'];
+
+    health.recordError('deepgram', new Error('socket hang up'));
+    if (health.pick(chain) !== 'deepgram') throw new Error('Expected one error to be tolerated');
+    health.recordError('deepgram', new Error('socket hang up'));
+    if (health.pick(chain) !== 'groq') throw new Error('Expected deepgram skipped after repeated errors');
+    health.recordSuccess('groq', 300);
+    health.recordSuccess('groq', 500);
+    const snapshot = health.snapshot();
+    if (snapshot.deepgram.errors !== 2 || !snapshot.deepgram.coolingDownUntil || snapshot.groq.avgLatencyMs !== 400) {
+      throw new Error(`Unexpected counters: ${JSON.stringify(snapshot)}`);
+    }
+    health.recordError('groq', new Error('down'));
+    health.recordError('groq', new Error('down'));
+    if (health.pick(chain) !== 'twilio' || health.pick(['groq']) !== null) throw new Error('Expected Gather when every provider is cooling down');
+
+    clock += 30000;
+    if (health.pick(chain) !== 'deepgram') throw new Error('Expected deepgram back after the cooldown');
+  });
+
+  // Test 57: A failed batch transcription is retried by the next provider with the same audio
+  await test('STT chain retries the utterance on the next provider and skips the failed one', async () => {
+    const { createMediaStreamServer } = require('./media-stream-handler');
+    const streams = createMediaStreamServer({
+      sttProvider: 'openai,groq,twilio',
+      stt: {
+        openai: { apiBaseUrl: `http://localhost:${GATEWAY_PORT}/down/v1`, model: 'whisper-large-v3-turbo' },
+        groq: { apiKey: 'test-groq-key', apiBaseUrl: `http://localhost:${GATEWAY_PORT}/groq/v1` }
+      },
+      sttHealth: { maxConsecutiveErrors: 1, cooldownMs: 60000 }
+    }, { port: PLAYBACK_PORT });
+
+    try {
+      sttText = 'Is the server up';
+      const transcripts = [];
+      const before = sttRequests.length;
+      streams.registerSession('testChain', { lang: 'en', onTranscript: (text) => transcripts.push(text) });
+      await streamCall('testChain', utterance, 1000, PLAYBACK_PORT);
+
+      const tried = sttRequests.slice(before);
+      if (tried.length !== 2 || !tried[0].path.startsWith('/down/') || !tried[1].path.startsWith('/groq/') || tried[0].size !== tried[1].size) {
+        throw new Error(`Expected the same utterance sent to openai then groq, got ${JSON.stringify(tried.map(r => r.path))}`);
+      }
+      if (transcripts.length !== 1 || transcripts[0] !== 'Is the server up') throw new Error(`Unexpected transcripts: ${JSON.stringify(transcripts)}`);
+
+      // openai is cooling down: the next call goes straight to groq
+      const next = sttRequests.length;
+      streams.registerSession('testChain2', { lang: 'en', onTranscript: () => {} });
+      await streamCall('testChain2', utterance, 1000, PLAYBACK_PORT);
+      if (sttRequests.slice(next).map(r => r.path.split('/')[1]).join() !== 'groq') throw new Error('Expected the failed provider skipped');
+
+      const { openai, groq } = streams.health.snapshot();
+      if (openai.errors !== 1 || !openai.coolingDownUntil || groq.requests !== 2 || typeof groq.avgLatencyMs !== 'number') {
+        throw new Error(`Unexpected health: ${JSON.stringify(streams.health.snapshot())}`);
+      }
+    } finally {
+      streams.close();
+    }
+  });
+
+  // Test 58: Deepgram dropping mid-utterance hands the buffered audio to the next provider
+  await test('Mid-call failover keeps the audio already streamed', async () => {
+    const { LiveTranscriptionEvents } = require('@deepgram/sdk');
+    const { providers } = require('./stt-providers');
+    const { createMediaStreamServer } = require('./media-stream-handler');
+    const createConnection = providers.deepgram.createConnection;
+    // A live connection that drops once the caller is halfway through a
+    // sentence (the error is raised while the frame is sent: the frames of
+    // one socket read arrive in a single tick), with an error or by just
+    // closing; finish() closes it as the SDK does
+    let received = 0;
+    let drop;
+    providers.deepgram.createConnection = () => {
+      const listeners = {};
+      return {
+        getReadyState: () => 1,
+        send: () => {
+          if (++received === 20) drop(listeners);
+        },
+        on: (event, callback) => { listeners[event] = callback; },
+        finish: () => listeners[LiveTranscriptionEvents.Close]?.()
+      };
+    };
+    const streams = createMediaStreamServer({
+      sttProvider: ['deepgram', 'whisper-cpp', 'twilio'],
+      stt: { 'whisper-cpp': { binary: path.join(TMP_DIR, 'whisper-cli'), model: path.join(TMP_DIR, 'ggml-base.bin') } }
+    }, { port: PLAYBACK_PORT });
+
+    try {
+      const drops = [
+        [(listeners) => listeners[LiveTranscriptionEvents.Error](new Error('socket hang up')), 'socket hang up'],
+        [(listeners) => listeners[LiveTranscriptionEvents.Close](), 'deepgram closed the stream'],
+      ];
+      for (const [i, [how, lastError]] of drops.entries()) {
+        drop = how;
+        received = 0;
+        const transcripts = [];
+        streams.registerSession(`testFailover${i}`, { lang: 'en', onTranscript: (text) => transcripts.push(text) });
+        await streamCall(`testFailover${i}`, utterance, 1000, PLAYBACK_PORT);
+        if (received !== 20) throw new Error(`Expected deepgram to get audio until it failed, got ${received} frames`);
+        // The whole utterance, as in test 55, not just the audio after the failure
+        if (transcripts.length !== 1 || transcripts[0] !== '[en] heard 41600 bytes') throw new Error(`Unexpected transcripts: ${JSON.stringify(transcripts)}`);
+        const snapshot = streams.health.snapshot().deepgram;
+        // Closing the failed connection ourselves is not another error
+        if (snapshot.lastError !== lastError || snapshot.errors !== i + 1) throw new Error(`Unexpected deepgram health: ${JSON.stringify(snapshot)}`);
+      }
+    } finally {
+      providers.deepgram.createConnection = createConnection;
+      streams.close();
+    }
+  });
+
   // Cleanup
   serverProcess.kill();
+  gatewayStub.close();
+  twilioStub.close();
+  deliveryStub.close();
+  telegramStub.close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
 
   // Summary
   const passed = results.filter(r => r.passed).length;
@@ -0,0 +1,84 @@
+/**
+ * TTS Providers - Speech synthesis for media streams
+ *
+ * Calls on <Gather> are spoken by Twilio's <Say> (Polly voices). When
+ * the agent talks over a bidirectional media stream we need the audio
+ * ourselves: providers return 16-bit PCM, which the media stream handler
+ * converts to 8 kHz mu-law for Twilio.
+ *
+ * Supports:
+ * - elevenlabs: ElevenLabs text-to-speech (config.ttsProvider: "elevenlabs")
+ *
+ * Voices come from the language entity (config.languages.<code>.tts),
+ * falling back to config.tts.<provider>.voiceId.
+ */
+
+const { getLanguage } = require('./languages');
+
+const providers = {
+  /**
+   * ElevenLabs
+   * Multilingual model, raw PCM output
+   */
+  elevenlabs: {
+    name: 'ElevenLabs',
+    sampleRate: 16000,
+
+    synthesize: async (text, config, options = {}) => {
+      const settings = config.tts?.elevenlabs || {};
+      const apiKey = settings.apiKey || process.env.ELEVENLABS_API_KEY;
+      if (!apiKey) {
+        throw new Error('ELEVENLABS_API_KEY not configured');
+      }
+
+      const apiUrl = (settings.apiBaseUrl || process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/$/, '');
+      const voiceId = options.voice || settings.voiceId || '21m00Tcm4TlvDq8ikWAM';
+
+      const response = await fetch(`${apiUrl}/v1/text-to-speech/${voiceId}?output_format=pcm_16000`, {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text,
+          model_id: settings.model || 'eleven_multilingual_v2',
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`ElevenLabs API error ${response.status}: ${error}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    },
+  },
+};
+
+/**
+ * Get provider by name
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown TTS provider: ${name}. Valid: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Synthesize text in a language; resolves to { pcm, sampleRate }
+ */
+async function synthesize(providerName, text, config, options = {}) {
+  const provider = getProvider(providerName);
+  const voice = getLanguage(config, options.lang).tts[providerName];
+  const pcm = await provider.synthesize(text, config, { ...options, voice });
+  return { pcm, sampleRate: provider.sampleRate };
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  synthesize,
+};
@@ -0,0 +1,83 @@
+/**
+ * Minimal Twilio REST Client
+ *
+ * Just the calls this skill needs, over fetch with Basic auth.
+ * The API base URL is configurable (config.twilio.apiBaseUrl or
+ * TWILIO_API_URL) so tests can point it at a local stand-in.
+ */
+
+const DEFAULT_API_URL = 'https://api.twilio.com';
+
+/**
+ * Create a client from config.twilio (falls back to TWILIO_* env vars)
+ */
+function createTwilioClient(config) {
+  const accountSid = config.twilio?.accountSid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = config.twilio?.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const baseUrl = (config.twilio?.apiBaseUrl || process.env.TWILIO_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+  async function post(resource, params) {
+    if (!accountSid || !authToken) {
+      throw new Error('Twilio credentials not configured');
+    }
+
+    const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+    const body = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        body.append(key, String(value));
+      }
+    }
+
+    const response = await fetch(`${baseUrl}/2010-04-01/Accounts/${accountSid}/${resource}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${auth}`
+      },
+      body
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio API error ${response.status}: ${data.message || 'unknown error'}`);
+    }
+    return data;
+  }
+
+  return {
+    /**
+     * Place an outbound call. Twilio fetches TwiML from `url` once answered.
+     */
+    createCall: ({ to, from, url, statusCallback, ...extra }) => post('Calls.json', {
+      To: to,
+      From: from || config.twilio?.phoneNumber || process.env.TWILIO_PHONE_NUMBER,
+      Url: url,
+      Method: 'POST',
+      StatusCallback: statusCallback,
+      StatusCallbackMethod: statusCallback ? 'POST' : undefined,
+      ...extra
+    }),
+
+    /**
+     * Redirect a live call to new TwiML (inline), ending whatever it is
+     * doing now (e.g. a <Connect><Stream>)
+     */
+    updateCall: (callSid, { twiml }) => post(`Calls/${callSid}.json`, {
+      Twiml: twiml
+    }),
+
+    /**
+     * Send an SMS
+     */
+    sendSms: ({ to, from, body }) => post('Messages.json', {
+      To: to,
+      From: from || config.twilio?.phoneNumber || process.env.TWILIO_PHONE_NUMBER,
+      Body: body
+    }),
+  };
+}
+
+module.exports = {
+  createTwilioClient,
+};
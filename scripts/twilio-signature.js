@@ -0,0 +1,79 @@
+/**
+ * Twilio Request Signature Validation
+ *
+ * Twilio signs every webhook with HMAC-SHA1 of the full public URL
+ * followed by the POST params (sorted by key, key+value concatenated),
+ * keyed with the account Auth Token. The result is sent base64-encoded
+ * in the X-Twilio-Signature header.
+ *
+ * See: https://www.twilio.com/docs/usage/security#validating-requests
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compute the expected signature for a URL and its POST params
+ */
+function computeSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + (params[key] ?? ''), url);
+
+  return crypto
+    .createHmac('sha1', authToken)
+    .update(Buffer.from(data, 'utf-8'))
+    .digest('base64');
+}
+
+/**
+ * Twilio may sign with or without the default port depending on how the
+ * webhook URL was configured, so accept both forms.
+ */
+function urlVariants(url) {
+  const variants = new Set([url]);
+
+  try {
+    const parsed = new URL(url);
+    const defaultPort = parsed.protocol === 'https:' ? '443' : '80';
+
+    if (parsed.port) {
+      if (parsed.port === defaultPort) {
+        parsed.port = '';
+        variants.add(parsed.toString());
+      }
+    } else {
+      variants.add(`${parsed.protocol}//${parsed.hostname}:${defaultPort}${parsed.pathname}${parsed.search}`);
+    }
+  } catch (e) {
+    // Not a parseable URL - only the literal form can match
+  }
+
+  return [...variants];
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Validate a signature against one or more candidate public URLs
+ * (e.g. configured public URL, ngrok domain, proxy headers).
+ */
+function validateSignature(authToken, signature, urls, params = {}) {
+  if (!authToken || !signature) {
+    return false;
+  }
+
+  const candidates = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+
+  return candidates.some(url =>
+    urlVariants(url).some(variant => safeEqual(computeSignature(authToken, variant, params), signature))
+  );
+}
+
+module.exports = {
+  computeSignature,
+  validateSignature,
+};
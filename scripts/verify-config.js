@@ -8,6 +8,13 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isPinHash, isValidPin } = require('./pin-hash');
+const { getLanguages, getDefaultLanguage } = require('./languages');
+const { createMessages } = require('./messages');
+const { senders, getRecipient } = require('./delivery');
+const { PARSE_MODES } = require('./telegram-format');
+const { providers: ttsProviders } = require('./tts-providers');
+const { providers: sttProviders, getProviderChain } = require('./stt-providers');
 
 const CONFIG_PATH = process.env.VOICE_CONFIG_PATH || path.join(__dirname, '..', 'voice-config.json');
 
@@ -67,14 +74,63 @@ warn('Gateway Token', gatewayToken && gatewayToken !== 'your_gateway_token', 'No
 
 // 6. Multi-language config
 check('Languages configured', config.menu?.languages?.length > 0, 'No language menu configured');
-check('Voices configured', config.voices && Object.keys(config.voices).length > 0, 'No voices configured');
+const languages = getLanguages(config);
+const unknownLangs = (config.menu?.languages || []).map(l => l.lang).filter(code => !languages[code]);
+check('Menu languages defined', unknownLangs.length === 0, `Add config.languages entries for: ${unknownLangs.join(', ')}`);
+check('Default language defined', !!languages[getDefaultLanguage(config)], `defaultLanguage "${getDefaultLanguage(config)}" is not in config.languages`);
+
+// Every language needs every phrase (locales/<lang>.json + config.messages)
+const { missing } = createMessages(config);
+for (const code of Object.keys(languages)) {
+  const keys = missing[code] || [];
+  const shown = keys.slice(0, 5).join(', ') + (keys.length > 5 ? `, +${keys.length - 5} more` : '');
+  check(`Messages (${code})`, keys.length === 0, `Missing translations: ${shown}`);
+}
 
 // 7. Allowed numbers validation
 if (config.allowedNumbers?.length > 0) {
   const validNumbers = config.allowedNumbers.every(n => 
-    n.number?.startsWith('+') && n.pin?.length >= 4
+    n.number?.startsWith('+') && (isPinHash(n.pinHash) || isValidPin(n.pin))
   );
-  check('Numbers format (E.164 + PIN)', validNumbers, 'Numbers should be E.164 format (+1...) with 4+ digit PIN');
+  check('Numbers format (E.164 + PIN)', validNumbers, 'Numbers should be E.164 format (+1...) with a PIN (npm run admin -- set-pin <number>)');
+
+  const plaintext = config.allowedNumbers.filter(n => n.pin).map(n => n.number);
+  check('PINs hashed', plaintext.length === 0, `Plaintext PIN for ${plaintext.join(', ')} - run: npm run admin -- migrate-pins`);
+
+  const badDelivery = config.allowedNumbers
+    .filter(n => n.delivery)
+    .filter(n => getRecipient(config, { callerNumber: n.number }).channels.some(c => !senders[c]) ||
+      (n.delivery.lang && !languages[n.delivery.lang]))
+    .map(n => n.number);
+  check('Caller delivery preferences', badDelivery.length === 0, `Unknown channel or language for ${badDelivery.join(', ')}`);
+
+  const unsignedWebhooks = [{}, ...config.allowedNumbers.map(n => ({ callerNumber: n.number }))]
+    .map(job => getRecipient(config, job))
+    .filter(r => r.channels.includes('webhook') && !r.webhookSecret);
+  warn('Webhook signing', unsignedWebhooks.length === 0, 'Set asyncResponse.webhook.secret (or WEBHOOK_SECRET) so receivers can verify deliveries');
+}
+
+// 8. Telegram formatting
+const parseMode = config.asyncResponse?.telegram?.parseMode;
+if (parseMode !== undefined) {
+  check('Telegram parse mode', Object.hasOwn(PARSE_MODES, parseMode), `Unknown parseMode "${parseMode}" (use ${Object.keys(PARSE_MODES).join(', ')})`);
+}
+
+// 9. Speech recognition
+const sttChain = getProviderChain(config);
+const unknownStt = sttChain.filter(name => !sttProviders[name]);
+check('STT provider', unknownStt.length === 0, `Unknown sttProvider ${unknownStt.map(name => `"${name}"`).join(', ')} (use ${Object.keys(sttProviders).join(', ')})`);
+if (sttChain.includes('whisper-cpp')) {
+  const whisperModel = config.stt?.['whisper-cpp']?.model || process.env.WHISPER_CPP_MODEL;
+  check('whisper.cpp model', whisperModel && fs.existsSync(whisperModel), `Model file not found: ${whisperModel || '(set stt["whisper-cpp"].model)'}`);
+}
+
+// 10. Agent speech on media streams
+if (config.mediaStream?.enabled && config.mediaStream.bidirectional) {
+  const ttsProvider = config.ttsProvider || 'elevenlabs';
+  check('TTS provider', !!ttsProviders[ttsProvider], `Unknown ttsProvider "${ttsProvider}" (use ${Object.keys(ttsProviders).join(', ')})`);
+  warn('ELEVENLABS_API_KEY', ttsProvider !== 'elevenlabs' || !!(config.tts?.elevenlabs?.apiKey || process.env.ELEVENLABS_API_KEY),
+    'Not set - stream answers fall back to <Say>');
 }
 
 // Print results
@@ -11,6 +11,24 @@ const https = require('https');
 const { URL } = require('url');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { validateSignature } = require('./twilio-signature');
+const { createLockoutLedger } = require('./pin-lockout');
+const { verifyPin } = require('./pin-hash');
+const { createRateLimiter, getRateLimitConfig } = require('./rate-limiter');
+const { createSessionStore } = require('./session-store');
+const { getHistoryConfig, appendTurn, trimReply, buildMessages } = require('./conversation');
+const { createTwilioClient } = require('./twilio-client');
+const { createOutboundCaller } = require('./outbound-call');
+const { buildSystemPrompt, getAgentModel, getCallerTimezone } = require('./prompts');
+const { getLanguage, getDefaultLanguage } = require('./languages');
+const { createMessages } = require('./messages');
+const { createJobQueue } = require('./job-queue');
+const { createJobStatus } = require('./job-status');
+const { getRecipient } = require('./delivery');
+const { parseSchedule, describeSchedule } = require('./schedule');
+const { createMediaStreamServer, generateStreamTwiML } = require('./media-stream-handler');
+const { getProviderChain, DEFAULT_STT_PROVIDER } = require('./stt-providers');
 
 // Load configuration
 const CONFIG_PATH = process.env.VOICE_CONFIG_PATH || './voice-config.json';
@@ -19,7 +37,7 @@ let config = {
   maxAttempts: 3,
   rateLimitPerHour: 5,
   ttsProvider: 'elevenlabs',
-  sttProvider: 'groq',
+  sttProvider: DEFAULT_STT_PROVIDER,
   port: 3001
 };
 
@@ -31,12 +49,44 @@ try {
   console.error('Warning: Could not load config file:', e.message);
 }
 
-// In-memory state
-const callState = new Map(); // callSid -> { attempts, startTime, callerNumber }
-const rateLimits = new Map(); // phoneNumber -> { count, resetTime }
+// Call sessions: callSid -> { attempts, startTime, callerNumber, name, lang, ... }
+const sessions = createSessionStore(config.sessions);
+const historyLimits = getHistoryConfig(config);
 
-// Queue for async processing
-const QUEUE_PATH = process.env.QUEUE_PATH || path.join(__dirname, '..', 'pending-queries.jsonl');
+// Language for prompts spoken before the caller picks one
+const DEFAULT_LANG = getDefaultLanguage(config);
+
+// Post-PIN menu (config.menu): read by verify-pin, answered by select-language
+const MENU = config.menu || {
+  languages: [
+    { key: '1', lang: 'es', voice: 'Polly.Lupe', prompt: 'Para español, presione uno.' },
+    { key: '2', lang: 'en', voice: 'Polly.Joanna', prompt: 'For English, press two.' }
+  ],
+  voiceNote: { key: '9', voice: 'Polly.Joanna', prompt: 'To leave a voice note, press nine.' },
+  jobStatus: { key: '8', prompt: 'To hear about your tasks, press eight.' }
+};
+
+// Caller-facing phrases from locales/*.json + config.messages
+const messages = createMessages(config);
+
+// Per-number call/action windows and global concurrency, persisted to disk
+const rateLimiter = createRateLimiter(getRateLimitConfig(config));
+
+// Failed PIN attempts persist across calls and restarts
+const lockouts = createLockoutLedger({
+  maxAttempts: config.security?.pin?.maxAttempts || config.maxAttempts,
+  lockoutMinutes: config.security?.pin?.lockoutMinutes
+});
+
+// Queue for async processing (shared with the queue worker)
+const jobQueue = createJobQueue();
+
+// Callers' own jobs, as heard by phone (queue + worker logs)
+const jobStatus = createJobStatus({
+  queue: jobQueue,
+  recent: config.menu?.jobStatus?.recent,
+  recentHours: config.menu?.jobStatus?.recentHours
+});
 
 // Detect if user wants to intentionally create a job/task
 const JOB_INTENT_PATTERNS = [
@@ -60,20 +110,41 @@ function extractJobTask(message) {
     .trim();
 }
 
-// Queue query for async processing (will be sent via configured channel)
+// Detect if user asks about their jobs/tasks
+const JOB_STATUS_PATTERNS = [
+  /\b(my|mis)\s+(tasks|jobs|tareas|trabajos)\b/i,
+  /\b(status|estado)\s+(of|de)\s+(my|mis|the|las|los)?\s*(tasks?|jobs?|tareas?|trabajos?)\b/i,
+  /\b(cancel|cancela|cancelar)\s+(a|the|my|una|la|mi)?\s*(task|job|tarea|trabajo)\b/i,
+];
+
+function isJobStatusIntent(message) {
+  return JOB_STATUS_PATTERNS.some(pattern => pattern.test(message));
+}
+
+// Callers whose answers come back by phone call hear the *Call variant of
+// a queueing phrase instead of "via message"
+function deliveryPhrase(key, callerNumber) {
+  return getRecipient(config, { callerNumber }).channels[0] === 'call' ? `${key}Call` : key;
+}
+
+// Queue query for async processing (will be sent via the caller's channels,
+// falling back to the global asyncResponse config)
 function queueForAsyncProcessing(query) {
   try {
-    const entry = {
-      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    const recipient = getRecipient(config, query);
+    const entry = jobQueue.enqueue({
       message: query.message,
-      lang: query.lang,
+      lang: recipient.lang || query.lang,
       callerNumber: query.callerNumber,
       callerName: query.callerName,
-      chatId: query.chatId || config.telegram?.defaultChatId,
+      chatId: recipient.chatId,
+      type: query.isIntentionalJob ? 'job' : 'query',
+      runAt: query.runAt,
+      recurrence: query.recurrence,
+      audioFile: query.audioFile,
       timestamp: new Date().toISOString()
-    };
+    });
     
-    fs.appendFileSync(QUEUE_PATH, JSON.stringify(entry) + '\n');
     logCall('query_queued', { id: entry.id, message: entry.message.substring(0, 50) });
     return true;
   } catch (error) {
@@ -88,6 +159,15 @@ function parseBody(req) {
     let body = '';
     req.on('data', chunk => body += chunk);
     req.on('end', () => {
+      // Twilio posts form data; the /api endpoints take JSON
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        try {
+          resolve(JSON.parse(body || '{}'));
+        } catch (e) {
+          resolve({});
+        }
+        return;
+      }
       const params = new URLSearchParams(body);
       resolve(Object.fromEntries(params));
     });
@@ -99,13 +179,69 @@ function twiml(content) {
   return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${content}\n</Response>`;
 }
 
+// Speak text in a configured language (voice + locale from config.languages)
+function say(lang, text) {
+  const language = getLanguage(config, lang);
+  return `<Say voice="${language.voice}" language="${language.locale}">${text}</Say>`;
+}
+
+// Listen for the caller's next utterance, hanging up on silence. With
+// media streams the call is connected to our WebSocket server instead;
+// if the stream fails, Twilio carries on to /voice/stream-fallback
+function listen(lang, callSid) {
+  const language = getLanguage(config, lang);
+  
+  // Providers ahead of "twilio" in the chain may all be cooling down
+  const streamProvider = mediaStreams?.pickProvider();
+  if (streamProvider && streamProvider !== 'twilio' && callSid && !gatherOnlyCalls.has(callSid)) {
+    let busy = false;
+    mediaStreams.registerSession(callSid, {
+      lang,
+      onTranscript: async (text) => {
+        // One utterance at a time. A reply spoken over the stream keeps
+        // it open for the next turn; any other reply ends it
+        if (busy || !text?.trim()) return;
+        busy = true;
+        busy = !(await respondToStream(callSid, text));
+      }
+    });
+    return `${generateStreamTwiML({ wsUrl: getStreamUrl(), callSid })}
+      <Redirect method="POST">/voice/stream-fallback</Redirect>`;
+  }
+  
+  return `<Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${language.locale}">
+        <Pause length="1"/>
+      </Gather>
+      ${speak(lang, 'call.noInput')}
+      <Hangup/>`;
+}
+
+// Look up a catalog phrase (raw text, not XML-escaped)
+function t(lang, key, vars) {
+  return messages.t(lang, key, vars);
+}
+
+// Speak a catalog phrase
+function speak(lang, key, vars) {
+  return say(lang, escapeXml(t(lang, key, vars)));
+}
+
+// When a scheduled job runs, in words ("tomorrow at 9:00 AM"); null if right away
+function describeWhen(lang, schedule, callerNumber) {
+  return describeSchedule(schedule, {
+    t: (key, vars) => t(lang, key, vars),
+    locale: getLanguage(config, lang).locale,
+    timezone: getCallerTimezone(config, callerNumber)
+  });
+}
+
 function isAllowed(phoneNumber) {
   return config.allowedNumbers.some(n => n.number === phoneNumber);
 }
 
-function getPin(phoneNumber) {
+function checkPin(phoneNumber, enteredPin) {
   const entry = config.allowedNumbers.find(n => n.number === phoneNumber);
-  return entry?.pin;
+  return verifyPin(enteredPin, entry);
 }
 
 function getName(phoneNumber) {
@@ -113,21 +249,57 @@ function getName(phoneNumber) {
   return entry?.name || 'Guest';
 }
 
-function checkRateLimit(phoneNumber) {
-  const now = Date.now();
-  const limit = rateLimits.get(phoneNumber);
+// End a call: drop its session and release its concurrency slot
+async function endCall(callSid) {
+  await sessions.delete(callSid);
+  rateLimiter.endCall(callSid);
+  gatherOnlyCalls.delete(callSid);
+}
+
+// Candidate public URLs Twilio may have signed: explicit config, the
+// ngrok domain, and whatever the proxy reports via X-Forwarded-* headers
+function getPublicUrls(req) {
+  const urls = [];
   
-  if (!limit || now > limit.resetTime) {
-    rateLimits.set(phoneNumber, { count: 1, resetTime: now + 3600000 });
-    return true;
+  if (config.publicUrl) {
+    urls.push(config.publicUrl.replace(/\/$/, '') + req.url);
   }
   
-  if (limit.count >= config.rateLimitPerHour) {
-    return false;
+  if (config.ngrok?.domain) {
+    urls.push(`https://${config.ngrok.domain}${req.url}`);
   }
   
-  limit.count++;
-  return true;
+  const proto = (req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  urls.push(`${proto}://${host}${req.url}`);
+  
+  return urls;
+}
+
+// Base URL Twilio should call back on for calls we originate
+function getPublicBaseUrl() {
+  if (config.publicUrl) return config.publicUrl.replace(/\/$/, '');
+  if (config.ngrok?.domain) return `https://${config.ngrok.domain}`;
+  return null;
+}
+
+// Bearer token check for /api/* endpoints (constant time)
+function isApiAuthorized(req, expectedToken) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!expectedToken || !match) return false;
+  const a = crypto.createHash('sha256').update(match[1]).digest();
+  const b = crypto.createHash('sha256').update(expectedToken).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isSignatureValidationEnabled() {
+  return config.security?.validateSignature !== false;
+}
+
+function verifyTwilioSignature(req, body) {
+  const authToken = config.twilio?.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+  return validateSignature(authToken, signature, getPublicUrls(req), body);
 }
 
 function logCall(action, data) {
@@ -168,36 +340,348 @@ function cleanForTTS(text) {
     .trim();
 }
 
+const twilioClient = createTwilioClient(config);
+
+// Media Streams: with mediaStream.enabled and a streaming STT provider
+// (sttProvider, or any provider in its chain, other than "twilio"),
+// callers are heard over a WebSocket
+const mediaStreams = config.mediaStream?.enabled && getProviderChain(config).some(name => name !== 'twilio')
+  ? createMediaStreamServer(config, { port: process.env.MEDIA_STREAM_PORT || config.mediaStream.port || 3002 })
+  : null;
+
+// Calls whose stream failed; they listen with <Gather> from then on
+const gatherOnlyCalls = new Set();
+
+function getStreamUrl() {
+  return config.mediaStream?.wsUrl || `${(getPublicBaseUrl() || '').replace(/^http/, 'ws')}/media-stream`;
+}
+
+// TwiML pushed through the REST API has no document URL for Twilio to
+// resolve relative action/Redirect URLs against
+function absoluteUrls(xml) {
+  const base = getPublicBaseUrl();
+  if (!base) return xml;
+  return xml
+    .replace(/(action=")\//g, `$1${base}/`)
+    .replace(/(<Redirect[^>]*>)\//g, `$1${base}/`);
+}
+
+// A final transcript from the stream: run it through the same pipeline
+// as /voice/process-speech. With mediaStream.bidirectional, agent replies
+// are spoken over the stream (resolves true: the stream stays open);
+// everything else, or a reply that cannot be synthesized, redirects the
+// call to the TwiML reply
+async function respondToStream(callSid, speech) {
+  try {
+    const state = await sessions.get(callSid);
+    if (!state) return false;
+    const lang = state.lang || 'en';
+    
+    let response = await respondToSpeech(speech, state, callSid, state.callerNumber, {
+      onStream: !!config.mediaStream?.bidirectional
+    });
+    if (await sessions.has(callSid)) {
+      await sessions.set(callSid, state);
+    }
+    
+    if (response.reply !== undefined) {
+      const spoken = await mediaStreams.speak(callSid, response.reply, {
+        lang,
+        onInterrupted: (heard) => trimInterruptedReply(callSid, response.turnId, heard)
+      });
+      if (spoken.ok) {
+        logCall('stream_turn', { callSid, speech, spokenOnStream: true });
+        return true;
+      }
+      
+      logCall('stream_speak_error', { callSid, error: spoken.error });
+      response = twiml(`
+        ${say(lang, escapeXml(response.reply))}
+        ${listen(lang, callSid)}
+      `);
+    }
+    
+    await twilioClient.updateCall(callSid, { twiml: absoluteUrls(response) });
+    logCall('stream_turn', { callSid, speech });
+  } catch (error) {
+    logCall('stream_turn_error', { callSid, error: error.message });
+  }
+  return false;
+}
+
+// Barge-in: keep only the part of the reply (history turn turnId) the caller heard
+async function trimInterruptedReply(callSid, turnId, heard) {
+  try {
+    const state = await sessions.get(callSid);
+    if (!state) return;
+    
+    trimReply(state, turnId, heard);
+    await sessions.set(callSid, state);
+    logCall('barge_in', { callSid, heard });
+  } catch (error) {
+    logCall('stream_turn_error', { callSid, error: error.message });
+  }
+}
+
+// Agent-initiated calls
+const outboundCaller = createOutboundCaller({
+  config,
+  sessions,
+  rateLimiter,
+  client: twilioClient,
+  isAllowed,
+  getName,
+  baseUrl: getPublicBaseUrl(),
+  t
+});
+
+// TwiML that delivers an outbound call's message, then either hands over
+// to the conversation loop or hangs up
+async function outboundMessageTwiml(state, callSid) {
+  const lang = state.lang || 'en';
+  const message = escapeXml(cleanForTTS(state.outboundMessage));
+  await outboundCaller.recordOutcome(callSid, 'delivered');
+  
+  if (state.converse) {
+    return twiml(`
+      ${say(lang, message)}
+      ${listen(lang, callSid)}
+    `);
+  }
+  
+  await endCall(callSid);
+  return twiml(`
+    ${say(lang, message)}
+    ${speak(lang, 'call.goodbye')}
+    <Hangup/>
+  `);
+}
+
+// Job status: message key for each state a listed job can be in
+const JOB_ITEM_KEYS = {
+  'pending': 'jobs.itemPending',
+  'scheduled': 'jobs.itemScheduled',
+  'in-progress': 'jobs.itemRunning',
+  'delivered': 'jobs.itemDelivered',
+  'failed': 'jobs.itemFailed'
+};
+
+// Numbered list of the caller's open and recently finished jobs; the
+// caller picks one by DTMF (/voice/job-select)
+function jobListTwiml(state, callSid, lang, intro = '') {
+  const { open, finished } = jobStatus.list(state.callerNumber);
+  const items = [...open, ...finished].slice(0, 9);
+  state.jobMenu = items;
+  delete state.selectedJob;
+  
+  if (items.length === 0) {
+    return twiml(`
+      ${intro}
+      ${speak(lang, 'jobs.none')}
+      ${speak(lang, 'query.continue')}
+      ${listen(lang, callSid)}
+    `);
+  }
+  
+  const lines = items.map((job, i) => speak(lang, JOB_ITEM_KEYS[job.status], {
+    number: i + 1,
+    task: job.task,
+    when: describeWhen(lang, job, state.callerNumber)
+  })).join('\n');
+  
+  return twiml(`
+    ${intro}
+    ${speak(lang, 'jobs.summary', { open: open.length, finished: finished.length })}
+    <Gather input="dtmf" numDigits="1" action="/voice/job-select" method="POST" timeout="10">
+      ${lines}
+      ${speak(lang, 'jobs.choose')}
+    </Gather>
+    ${speak(lang, 'query.continue')}
+    ${listen(lang, callSid)}
+  `);
+}
+
+// One job from the list: its answer if finished, else the option to cancel
+function jobDetailTwiml(callSid, lang, job) {
+  const finished = job.status === 'delivered' || job.status === 'failed';
+  let detail;
+  if (!finished) {
+    detail = speak(lang, 'jobs.open', { task: job.task });
+  } else if (job.answer) {
+    detail = speak(lang, 'jobs.result', { task: job.task, answer: cleanForTTS(job.answer).substring(0, 3000) });
+  } else {
+    detail = speak(lang, 'jobs.resultMissing', { task: job.task });
+  }
+  
+  return twiml(`
+    <Gather input="dtmf" numDigits="1" action="/voice/job-action" method="POST" timeout="10">
+      ${detail}
+      ${speak(lang, finished ? 'jobs.resultOptions' : 'jobs.openOptions')}
+    </Gather>
+    ${speak(lang, 'query.continue')}
+    ${listen(lang, callSid)}
+  `);
+}
+
+// One caller utterance (from <Gather> or a media stream): job status,
+// job creation, or a turn with the agent. Returns the TwiML reply, or
+// with options.onStream, { reply, turnId } for an agent answer to be
+// spoken over the media stream (turnId: its entry in state.history).
+async function respondToSpeech(speech, state, callSid, callerNumber, options = {}) {
+  const lang = state.lang || 'en';
+  
+  logCall('speech_input', { callerNumber, speech, lang });
+  
+  // Asking about (or to cancel) their own jobs
+  if (isJobStatusIntent(speech)) {
+    logCall('job_status_intent', { callerNumber: state.callerNumber });
+    return jobListTwiml(state, callSid, lang);
+  }
+  
+  // Check for intentional job creation
+  if (isJobIntent(speech)) {
+    // "tomorrow at 9", "every Monday" -> due time / recurrence
+    const { task: taskDescription, ...schedule } = parseSchedule(extractJobTask(speech), {
+      timezone: getCallerTimezone(config, state.callerNumber)
+    });
+    const when = describeWhen(lang, schedule, state.callerNumber);
+    logCall('job_intent_detected', { task: taskDescription, runAt: schedule.runAt, recurrence: schedule.recurrence });
+    
+    // Store pending job in call state
+    state.pendingJob = {
+      task: taskDescription,
+      originalMessage: speech,
+      schedule,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Confirm with user
+    return twiml(`
+      ${when
+        ? speak(lang, 'job.confirmScheduled', { task: taskDescription, when })
+        : speak(lang, 'job.confirm', { task: taskDescription })}
+      <Gather input="dtmf" numDigits="1" action="/voice/confirm-job" method="POST" timeout="10">
+        <Pause length="1"/>
+      </Gather>
+      ${speak(lang, 'call.noResponse')}
+      <Redirect method="POST">/voice/process-speech</Redirect>
+    `);
+  }
+  
+  const turnLimit = rateLimiter.checkAction(state.callerNumber, 'agentTurn');
+  if (!turnLimit.allowed) {
+    logCall('rate_limited', { callerNumber: state.callerNumber, reason: turnLimit.reason, limit: turnLimit.limit });
+    await endCall(callSid);
+    return twiml(`
+      ${speak(lang, 'agent.questionLimit')}
+      <Hangup/>
+    `);
+  }
+  
+  const agentResult = await processWithAgent(speech, state);
+  
+  // Check if response needs retry (first timeout occurred)
+  if (agentResult.needsRetry) {
+    logCall('agent_needs_retry', { message: speech.substring(0, 50) });
+    
+    // Say "processing" and redirect to retry endpoint
+    const processingMsg = escapeXml(agentResult.message);
+    return twiml(`
+      ${say(lang, processingMsg)}
+      <Redirect method="POST">/voice/retry-query</Redirect>
+    `);
+  }
+  
+  const { reply: agentResponse, turnId } = agentResult;
+  logCall('agent_response', { callerNumber, response: agentResponse });
+  
+  // Clean markdown, escape XML, and truncate long responses
+  const safeResponse = escapeXml(cleanForTTS(agentResponse)).substring(0, 1000);
+  
+  // Check for goodbye intent (EN/ES)
+  if (speech?.toLowerCase().match(/goodbye|bye|adiós|adios|chao|hasta luego/)) {
+    await endCall(callSid);
+    return twiml(`
+      ${say(lang, safeResponse)}
+      <Hangup/>
+    `);
+  }
+  
+  if (options.onStream) {
+    return { reply: cleanForTTS(agentResponse).substring(0, 1000), turnId };
+  }
+  
+  return twiml(`
+    ${say(lang, safeResponse)}
+    ${listen(lang, callSid)}
+  `);
+}
+
+// Routes that get the caller's session as a third argument; whatever they
+// change is persisted afterwards unless the route ended the call
+const SESSION_ROUTES = new Set([
+  'POST /voice/verify-pin',
+  'POST /voice/select-language',
+  'POST /voice/save-voicenote',
+  'POST /voice/process-speech',
+  'POST /voice/stream-fallback',
+  'POST /voice/retry-query',
+  'POST /voice/queue-decision',
+  'POST /voice/continue-conversation',
+  'POST /voice/confirm-job',
+  'POST /voice/job-select',
+  'POST /voice/job-action',
+  'POST /voice/outbound-answer',
+]);
+
 // Routes
 const routes = {
   'POST /voice/incoming': async (req, body) => {
     const { From: callerNumber, CallSid: callSid } = body;
     
-    console.log('=== RAW BODY ===', body);
-    console.log('=== CALLER ===', callerNumber);
-    console.log('=== ALLOWED ===', config.allowedNumbers);
     logCall('incoming', { callerNumber, callSid });
     
-    // Check rate limit
-    if (!checkRateLimit(callerNumber)) {
-      logCall('rate_limited', { callerNumber });
+    // Check allowlist (before the rate limit, which records the call)
+    if (!isAllowed(callerNumber)) {
+      logCall('unauthorized', { callerNumber });
       return twiml(`
-        <Say voice="alice">Too many calls. Please try again later.</Say>
+        ${speak(DEFAULT_LANG, 'access.notAuthorized')}
         <Hangup/>
       `);
     }
     
-    // Check allowlist
-    if (!isAllowed(callerNumber)) {
-      logCall('unauthorized', { callerNumber });
+    // Refuse numbers locked out by earlier failed PIN attempts
+    const lockout = lockouts.getStatus(callerNumber);
+    if (lockout.locked) {
+      logCall('pin_locked_out', { callerNumber, until: new Date(lockout.until).toISOString() });
+      return twiml(`
+        ${speak(DEFAULT_LANG, 'access.lockedOut', { minutes: lockout.minutesLeft })}
+        <Hangup/>
+      `);
+    }
+    
+    // Check rate limit (records the call, so it comes after the refusals above)
+    const callLimit = rateLimiter.checkCall(callerNumber);
+    if (!callLimit.allowed) {
+      logCall('rate_limited', { callerNumber, reason: callLimit.reason, limit: callLimit.limit });
+      return twiml(`
+        ${speak(DEFAULT_LANG, 'access.tooManyCalls')}
+        <Hangup/>
+      `);
+    }
+    
+    // Global cap on simultaneous calls
+    const slot = rateLimiter.startCall(callSid, callerNumber);
+    if (!slot.allowed) {
+      logCall('rate_limited', { callerNumber, reason: slot.reason, limit: slot.limit });
       return twiml(`
-        <Say voice="alice">This number is not authorized to access this service.</Say>
+        ${speak(DEFAULT_LANG, 'access.linesBusy')}
         <Hangup/>
       `);
     }
     
     // Initialize call state
-    callState.set(callSid, { 
+    await sessions.set(callSid, { 
       attempts: 0, 
       startTime: Date.now(), 
       callerNumber,
@@ -207,137 +691,154 @@ const routes = {
     // Request PIN
     return twiml(`
       <Gather input="dtmf" numDigits="6" action="/voice/verify-pin" method="POST" timeout="10">
-        <Say voice="alice">Welcome. Please enter your 6 digit PIN.</Say>
+        ${speak(DEFAULT_LANG, 'pin.prompt')}
       </Gather>
-      <Say voice="alice">No input received. Goodbye.</Say>
+      ${speak(DEFAULT_LANG, 'call.noInput')}
       <Hangup/>
     `);
   },
 
-  'POST /voice/verify-pin': async (req, body) => {
+  'POST /voice/verify-pin': async (req, body, state) => {
     const { Digits: enteredPin, CallSid: callSid, From: callerNumber } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
-    const correctPin = getPin(callerNumber);
+    // Outbound calls already know the callee's language
+    const lang = state.lang || DEFAULT_LANG;
     
-    if (enteredPin === correctPin) {
-      logCall('authenticated', { callerNumber, name: state.name });
+    // A concurrent call may have tripped the lockout meanwhile
+    if (lockouts.getStatus(state.callerNumber).locked) {
+      await endCall(callSid);
+      logCall('pin_locked_out', { callerNumber: state.callerNumber });
+      return twiml(`
+        ${speak(lang, 'access.locked')}
+        <Hangup/>
+      `);
+    }
+    
+    // Outbound calls may ask for a one-time code (texted) instead of the PIN
+    const valid = state.oneTimeCode
+      ? outboundCaller.checkCode(state, enteredPin)
+      : checkPin(state.callerNumber, enteredPin);
+    
+    if (valid) {
+      lockouts.recordSuccess(state.callerNumber);
+      logCall('authenticated', { callerNumber: state.callerNumber, name: state.name, outbound: !!state.outbound });
       
-      // Get menu config (configurable)
-      const menu = config.menu || {
-        languages: [
-          { key: '1', lang: 'es', voice: 'Polly.Lupe', prompt: 'Para español, presione uno.' },
-          { key: '2', lang: 'en', voice: 'Polly.Joanna', prompt: 'For English, press two.' }
-        ],
-        voiceNote: { key: '9', voice: 'Polly.Joanna', prompt: 'To leave a voice note, press nine.' }
-      };
+      // Outbound call: the PIN only gated the message
+      if (state.outbound) {
+        state.authenticated = true;
+        delete state.oneTimeCode;
+        return outboundMessageTwiml(state, callSid);
+      }
+      
+      const menu = MENU;
       
       // Build menu TwiML
-      let menuPrompts = menu.languages.map(l => 
-        `<Say voice="${l.voice}" language="${l.lang === 'es' ? 'es-US' : 'en-US'}">${l.prompt}</Say><Pause length="1"/>`
-      ).join('\n');
+      let menuPrompts = menu.languages.map(l => {
+        const language = getLanguage(config, l.lang);
+        return `<Say voice="${l.voice || language.voice}" language="${language.locale}">${l.prompt}</Say><Pause length="1"/>`;
+      }).join('\n');
       
+      // Voice notes and job status go on in the default language
+      const language = getLanguage(config, DEFAULT_LANG);
       if (menu.voiceNote) {
-        menuPrompts += `\n<Say voice="${menu.voiceNote.voice}" language="en-US">${menu.voiceNote.prompt}</Say>`;
+        menuPrompts += `\n<Say voice="${menu.voiceNote.voice || language.voice}" language="${language.locale}">${menu.voiceNote.prompt}</Say>`;
+      }
+      
+      if (menu.jobStatus) {
+        menuPrompts += `\n<Say voice="${menu.jobStatus.voice || language.voice}" language="${language.locale}">${menu.jobStatus.prompt}</Say>`;
       }
       
       return twiml(`
         <Gather input="dtmf" numDigits="1" action="/voice/select-language" method="POST" timeout="10">
           ${menuPrompts}
         </Gather>
-        <Say voice="alice">No selection made. Defaulting to English.</Say>
+        ${speak(DEFAULT_LANG, 'menu.noSelection')}
         <Redirect method="POST">/voice/start-conversation?lang=en</Redirect>
       `);
     }
     
-    // Wrong PIN
+    // Wrong PIN - counted against the number, not just this call
     state.attempts++;
-    logCall('wrong_pin', { callerNumber, attempts: state.attempts });
+    const lockout = lockouts.recordFailure(state.callerNumber);
+    logCall('wrong_pin', { callerNumber, attempts: state.attempts, failures: lockout.failures });
     
-    if (state.attempts >= config.maxAttempts) {
-      callState.delete(callSid);
-      logCall('max_attempts', { callerNumber });
+    if (lockout.locked) {
+      await endCall(callSid);
+      logCall('max_attempts', { callerNumber, lockedUntil: new Date(lockout.until).toISOString() });
       return twiml(`
-        <Say voice="alice">Too many failed attempts. Goodbye.</Say>
+        ${speak(lang, 'pin.maxAttempts', { minutes: lockout.minutesLeft })}
         <Hangup/>
       `);
     }
     
     return twiml(`
       <Gather input="dtmf" numDigits="6" action="/voice/verify-pin" method="POST" timeout="10">
-        <Say voice="alice">Incorrect PIN. You have ${config.maxAttempts - state.attempts} attempts remaining. Please try again.</Say>
+        ${speak(lang, 'pin.incorrect', { remaining: lockout.remaining })}
       </Gather>
-      <Say voice="alice">No input received. Goodbye.</Say>
+      ${speak(lang, 'call.noInput')}
       <Hangup/>
     `);
   },
 
-  'POST /voice/select-language': async (req, body) => {
+  'POST /voice/select-language': async (req, body, state) => {
     const { Digits: digit, CallSid: callSid } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
-    const menu = config.menu || { languages: [{ key: '1', lang: 'es' }, { key: '2', lang: 'en' }] };
-    const voiceConfig = config.voices || { es: 'Polly.Miguel', en: 'Polly.Matthew' };
+    const menu = MENU;
     
     // Check for voice note option (9)
     if (digit === (menu.voiceNote?.key || '9')) {
       logCall('voice_note_start', { name: state.name, callSid });
       state.mode = 'voicenote';
+      state.lang = DEFAULT_LANG;
       
-      const voice = voiceConfig['en'];
       const vnConfig = config.voiceNotes || {};
       const maxLength = vnConfig.maxLengthSeconds || 120;
       
       return twiml(`
-        <Say voice="${voice}" language="en-US">Please leave your voice note after the beep. Press any key when finished.</Say>
+        ${speak(state.lang, 'voiceNote.prompt')}
         <Record action="/voice/save-voicenote" method="POST" maxLength="${maxLength}" playBeep="true" finishOnKey="any"/>
-        <Say voice="${voice}" language="en-US">No recording received. Goodbye.</Say>
+        ${speak(state.lang, 'voiceNote.noRecording')}
         <Hangup/>
       `);
     }
     
+    // Job status option (8): list the caller's tasks in the default language
+    if (menu.jobStatus && digit === menu.jobStatus.key) {
+      logCall('job_status_menu', { name: state.name, callSid });
+      state.lang = DEFAULT_LANG;
+      return jobListTwiml(state, callSid, state.lang);
+    }
+    
     // Find selected language from menu config
     const selectedLang = menu.languages.find(l => l.key === digit);
-    state.lang = selectedLang?.lang || 'en';
+    state.lang = selectedLang?.lang || DEFAULT_LANG;
     logCall('language_selected', { lang: state.lang, name: state.name });
     
-    const voice = voiceConfig[state.lang];
-    const langCode = state.lang === 'es' ? 'es-US' : 'en-US';
-    
-    const welcomeMsg = state.lang === 'es' 
-      ? `Bienvenido ${state.name}. Estás conectado. ¿En qué puedo ayudarte?`
-      : `Welcome ${state.name}. You are connected. How can I help you?`;
+    const lang = state.lang;
     
     return twiml(`
-      <Say voice="${voice}" language="${langCode}">${welcomeMsg}</Say>
-      <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-        <Pause length="1"/>
-      </Gather>
-      <Say voice="${voice}" language="${langCode}">${state.lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-      <Hangup/>
+      ${speak(lang, 'menu.welcome', { name: state.name })}
+      ${listen(lang, callSid)}
     `);
   },
 
-  'POST /voice/save-voicenote': async (req, body) => {
+  'POST /voice/save-voicenote': async (req, body, state) => {
     const { RecordingUrl, RecordingSid, RecordingDuration, CallSid, From: callerNumber } = body;
-    const state = callState.get(CallSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
-    const voiceConfig = config.voices || { es: 'Polly.Miguel', en: 'Polly.Matthew' };
     const vnConfig = config.voiceNotes || {};
     const saveDir = vnConfig.saveDir || './voice-notes';
-    const voice = voiceConfig['en'];
     
     // Create timestamp-based filename
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -417,113 +918,67 @@ const routes = {
       
       logCall('voice_note_saved', { id: RecordingSid, audioFile, hasTranscription: !!transcription });
       
+      // Optionally have the agent answer the note; the recording can go along (telegram.attachAudio)
+      if (vnConfig.answer && transcription) {
+        queueForAsyncProcessing({
+          message: transcription,
+          lang: state.lang || DEFAULT_LANG,
+          callerNumber: state.callerNumber,
+          callerName: state.name,
+          audioFile: path.resolve(audioPath)
+        });
+      }
+      
+      await endCall(CallSid);
       return twiml(`
-        <Say voice="${voice}" language="en-US">Your voice note has been saved and transcribed. Thank you. Goodbye.</Say>
+        ${speak(state.lang || DEFAULT_LANG, 'voiceNote.saved')}
         <Hangup/>
       `);
       
     } catch (error) {
       logCall('voice_note_error', { error: error.message });
       
+      await endCall(CallSid);
       return twiml(`
-        <Say voice="${voice}" language="en-US">Your message was recorded but there was an error saving it. Please try again later. Goodbye.</Say>
+        ${speak(state.lang || DEFAULT_LANG, 'voiceNote.error')}
         <Hangup/>
       `);
     }
   },
 
-  'POST /voice/process-speech': async (req, body) => {
+  'POST /voice/process-speech': async (req, body, state) => {
     const { SpeechResult: speech, CallSid: callSid, From: callerNumber } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
-    }
-    
-    const lang = state.lang || 'en';
-    const voiceConfig = config.voices || { es: 'Polly.Lupe', en: 'Polly.Joanna' };
-    const voice = voiceConfig[lang];
-    const langCode = lang === 'es' ? 'es-US' : 'en-US';
-    
-    logCall('speech_input', { callerNumber, speech, lang });
-    
-    // Check for intentional job creation
-    if (isJobIntent(speech)) {
-      const taskDescription = extractJobTask(speech);
-      logCall('job_intent_detected', { task: taskDescription });
-      
-      // Store pending job in call state
-      state.pendingJob = {
-        task: taskDescription,
-        originalMessage: speech,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Confirm with user
-      const confirmMsg = lang === 'es'
-        ? `Entendido. Quieres que ${taskDescription}. Presiona 1 para confirmar o 2 para repetir tu solicitud.`
-        : `Got it. You want me to ${taskDescription}. Press 1 to confirm or 2 to repeat your request.`;
-      
-      return twiml(`
-        <Say voice="${voice}" language="${langCode}">${escapeXml(confirmMsg)}</Say>
-        <Gather input="dtmf" numDigits="1" action="/voice/confirm-job" method="POST" timeout="10">
-          <Pause length="1"/>
-        </Gather>
-        <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No recibí respuesta.' : 'No response received.'}</Say>
-        <Redirect method="POST">/voice/process-speech</Redirect>
-      `);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
-    const agentResponse = await processWithAgent(speech, state);
+    return respondToSpeech(speech, state, callSid, callerNumber);
+  },
+
+  // Twilio only gets past <Connect> if the stream could not start or was
+  // closed on an STT failure: hear this caller with <Gather> from now on
+  'POST /voice/stream-fallback': async (req, body, state) => {
+    const { CallSid: callSid } = body;
     
-    // Check if response needs retry (first timeout occurred)
-    if (agentResponse && agentResponse.needsRetry) {
-      logCall('agent_needs_retry', { message: speech.substring(0, 50) });
-      
-      // Say "processing" and redirect to retry endpoint
-      const processingMsg = escapeXml(agentResponse.message);
-      return twiml(`
-        <Say voice="${voice}" language="${langCode}">${processingMsg}</Say>
-        <Redirect method="POST">/voice/retry-query</Redirect>
-      `);
+    if (!state) {
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
-    logCall('agent_response', { callerNumber, response: agentResponse });
-    
-    // Clean markdown, escape XML, and truncate long responses
-    const safeResponse = escapeXml(cleanForTTS(agentResponse)).substring(0, 1000);
-    
-    // Check for goodbye intent (EN/ES)
-    if (speech?.toLowerCase().match(/goodbye|bye|adiós|adios|chao|hasta luego/)) {
-      callState.delete(callSid);
-      return twiml(`
-        <Say voice="${voice}" language="${langCode}">${safeResponse}</Say>
-        <Hangup/>
-      `);
-    }
+    gatherOnlyCalls.add(callSid);
+    logCall('stream_fallback', { callSid });
     
-    return twiml(`
-      <Say voice="${voice}" language="${langCode}">${safeResponse}</Say>
-      <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-        <Pause length="1"/>
-      </Gather>
-      <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-      <Hangup/>
-    `);
+    return twiml(listen(state.lang || DEFAULT_LANG, callSid));
   },
 
-  'POST /voice/retry-query': async (req, body) => {
+  'POST /voice/retry-query': async (req, body, state) => {
     const { CallSid: callSid, From: callerNumber } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
     const lang = state.lang || 'en';
-    const voiceConfig = config.voices || { es: 'Polly.Andres-Neural', en: 'Polly.Matthew-Neural' };
-    const voice = voiceConfig[lang];
-    const langCode = lang === 'es' ? 'es-US' : 'en-US';
     
     // Attempt retry
     const result = await retryWithAgent(state);
@@ -532,160 +987,139 @@ const routes = {
       // Got response on retry
       const safeResponse = escapeXml(cleanForTTS(result.reply)).substring(0, 1000);
       return twiml(`
-        <Say voice="${voice}" language="${langCode}">${safeResponse}</Say>
-        <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-          <Pause length="1"/>
-        </Gather>
-        <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-        <Hangup/>
+        ${say(lang, safeResponse)}
+        ${listen(lang, callSid)}
       `);
     }
     
     // Retry also timed out - offer to queue as job
     logCall('agent_retry_timeout', { callSid });
     
-    const offerMsg = lang === 'es'
-      ? 'Está tomando más tiempo del esperado. ¿Quieres que lo guarde como tarea y te envíe la respuesta por mensaje? Presiona 1 para sí, o 2 para continuar con otra pregunta.'
-      : 'This is taking longer than expected. Want me to save it as a task and send you the answer via message? Press 1 for yes, or 2 to continue with another question.';
-    
     return twiml(`
       <Gather input="dtmf" numDigits="1" action="/voice/queue-decision" method="POST" timeout="10">
-        <Say voice="${voice}" language="${langCode}">${offerMsg}</Say>
+        ${speak(lang, deliveryPhrase('query.offerQueue', state.callerNumber))}
       </Gather>
-      <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No recibí respuesta. Continuemos.' : 'No response received. Let us continue.'}</Say>
+      ${speak(lang, 'call.noResponseContinue')}
       <Redirect method="POST">/voice/continue-conversation</Redirect>
     `);
   },
 
-  'POST /voice/queue-decision': async (req, body) => {
+  'POST /voice/queue-decision': async (req, body, state) => {
     const { Digits: digit, CallSid: callSid } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
     const lang = state.lang || 'en';
-    const voiceConfig = config.voices || { es: 'Polly.Andres-Neural', en: 'Polly.Matthew-Neural' };
-    const voice = voiceConfig[lang];
-    const langCode = lang === 'es' ? 'es-US' : 'en-US';
     
     if (digit === '1' && state.pendingQuery) {
+      const jobLimit = rateLimiter.checkAction(state.callerNumber, 'job');
+      if (!jobLimit.allowed) {
+        logCall('rate_limited', { callerNumber: state.callerNumber, reason: jobLimit.reason, limit: jobLimit.limit });
+        delete state.pendingQuery;
+        return twiml(`
+          ${speak(lang, 'query.taskLimit')}
+          ${listen(lang, callSid)}
+        `);
+      }
+      
       // User wants to queue the task
       const queued = queueForAsyncProcessing({
         message: state.pendingQuery.message,
         lang: state.lang,
         callerNumber: state.callerNumber,
-        callerName: state.name,
-        chatId: config.asyncResponse?.telegram?.chatId || config.telegram?.defaultChatId
+        callerName: state.name
       });
       
+      const queuedKey = deliveryPhrase('query.queued', state.callerNumber);
+      appendTurn(state, 'user', state.pendingQuery.message, historyLimits);
+      appendTurn(state, 'assistant', `(Saved as a task; the answer will be ${queuedKey === 'query.queuedCall' ? 'given in a call back' : 'sent by message'}.)`, historyLimits);
       delete state.pendingQuery;
       
-      const confirmMsg = lang === 'es'
-        ? 'Perfecto, lo guardé como tarea. Te llegará la respuesta por mensaje. ¿En qué más te puedo ayudar?'
-        : 'Perfect, I saved it as a task. You will receive the answer via message. What else can I help you with?';
-      
       logCall('query_queued_by_user', { callSid });
       
       return twiml(`
-        <Say voice="${voice}" language="${langCode}">${confirmMsg}</Say>
-        <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-          <Pause length="1"/>
-        </Gather>
-        <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-        <Hangup/>
+        ${speak(lang, queuedKey)}
+        ${listen(lang, callSid)}
       `);
     }
     
     // User pressed 2 or other - continue without queueing
     delete state.pendingQuery;
     
-    const continueMsg = lang === 'es'
-      ? 'De acuerdo. ¿En qué más te puedo ayudar?'
-      : 'Okay. What else can I help you with?';
-    
     return twiml(`
-      <Say voice="${voice}" language="${langCode}">${continueMsg}</Say>
-      <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-        <Pause length="1"/>
-      </Gather>
-      <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-      <Hangup/>
+      ${speak(lang, 'query.declined')}
+      ${listen(lang, callSid)}
     `);
   },
 
-  'POST /voice/continue-conversation': async (req, body) => {
+  'POST /voice/continue-conversation': async (req, body, state) => {
     const { CallSid: callSid } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
     const lang = state.lang || 'en';
-    const voiceConfig = config.voices || { es: 'Polly.Andres-Neural', en: 'Polly.Matthew-Neural' };
-    const voice = voiceConfig[lang];
-    const langCode = lang === 'es' ? 'es-US' : 'en-US';
     
     delete state.pendingQuery;
     
-    const continueMsg = lang === 'es'
-      ? '¿En qué más te puedo ayudar?'
-      : 'What else can I help you with?';
-    
     return twiml(`
-      <Say voice="${voice}" language="${langCode}">${continueMsg}</Say>
-      <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-        <Pause length="1"/>
-      </Gather>
-      <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-      <Hangup/>
+      ${speak(lang, 'query.continue')}
+      ${listen(lang, callSid)}
     `);
   },
 
-  'POST /voice/confirm-job': async (req, body) => {
+  'POST /voice/confirm-job': async (req, body, state) => {
     const { Digits: digit, CallSid: callSid, From: callerNumber } = body;
-    const state = callState.get(callSid);
     
     if (!state) {
-      return twiml(`<Say voice="alice">Session error. Goodbye.</Say><Hangup/>`);
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
     }
     
     const lang = state.lang || 'en';
-    const voiceConfig = config.voices || { es: 'Polly.Lupe', en: 'Polly.Joanna' };
-    const voice = voiceConfig[lang];
-    const langCode = lang === 'es' ? 'es-US' : 'en-US';
     
     logCall('job_confirmation', { digit, hasPendingJob: !!state.pendingJob });
     
     if (digit === '1' && state.pendingJob) {
-      // Confirmed - queue the job
+      const jobLimit = rateLimiter.checkAction(state.callerNumber, 'job');
+      if (!jobLimit.allowed) {
+        logCall('rate_limited', { callerNumber: state.callerNumber, reason: jobLimit.reason, limit: jobLimit.limit });
+        delete state.pendingJob;
+        return twiml(`
+          ${speak(lang, 'job.taskLimit')}
+          ${listen(lang, callSid)}
+        `);
+      }
+      
+      // Confirmed - queue the job (at its scheduled time, if it has one)
+      const pendingJob = state.pendingJob;
+      const schedule = pendingJob.schedule || {};
+      const when = describeWhen(lang, schedule, state.callerNumber);
       const queued = queueForAsyncProcessing({
-        message: state.pendingJob.task,
+        message: pendingJob.task,
         lang: state.lang,
         callerNumber: state.callerNumber,
         callerName: state.name,
-        chatId: config.asyncResponse?.telegram?.chatId || config.telegram?.defaultChatId,
-        isIntentionalJob: true
+        isIntentionalJob: true,
+        runAt: schedule.runAt,
+        recurrence: schedule.recurrence
       });
       
+      if (queued) {
+        appendTurn(state, 'user', pendingJob.originalMessage, historyLimits);
+        appendTurn(state, 'assistant', `(Created a task: ${pendingJob.task}${when ? `, ${when}` : ''})`, historyLimits);
+      }
+      
       // Clear pending job
       delete state.pendingJob;
       
       if (queued) {
-        logCall('job_queued', { task: state.pendingJob?.task });
-        const confirmMsg = lang === 'es'
-          ? 'Perfecto. He creado la tarea. Te envío el resultado cuando esté listo. ¿Algo más?'
-          : 'Perfect. I\'ve created the task. I\'ll send you the result when ready. Anything else?';
-        
+        logCall('job_queued', { task: pendingJob.task, runAt: schedule.runAt });
         return twiml(`
-          <Say voice="${voice}" language="${langCode}">${confirmMsg}</Say>
-          <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-            <Pause length="1"/>
-          </Gather>
-          <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-          <Hangup/>
+          ${when ? speak(lang, 'job.scheduled', { when }) : speak(lang, 'job.queued')}
+          ${listen(lang, callSid)}
         `);
       }
     }
@@ -693,39 +1127,179 @@ const routes = {
     if (digit === '2') {
       // Repeat - clear pending and ask again
       delete state.pendingJob;
-      const repeatMsg = lang === 'es'
-        ? 'De acuerdo, por favor repite tu solicitud.'
-        : 'Okay, please repeat your request.';
-      
       return twiml(`
-        <Say voice="${voice}" language="${langCode}">${repeatMsg}</Say>
-        <Gather input="speech" speechTimeout="3" timeout="15" action="/voice/process-speech" method="POST" language="${langCode}">
-          <Pause length="1"/>
-        </Gather>
-        <Say voice="${voice}" language="${langCode}">${lang === 'es' ? 'No escuché nada. Adiós.' : 'No input received. Goodbye.'}</Say>
-        <Hangup/>
+        ${speak(lang, 'job.repeat')}
+        ${listen(lang, callSid)}
       `);
     }
     
     // Invalid input
-    const invalidMsg = lang === 'es'
-      ? 'No entendí. Presiona 1 para confirmar o 2 para repetir.'
-      : 'I didn\'t understand. Press 1 to confirm or 2 to repeat.';
-    
     return twiml(`
       <Gather input="dtmf" numDigits="1" action="/voice/confirm-job" method="POST" timeout="10">
-        <Say voice="${voice}" language="${langCode}">${invalidMsg}</Say>
+        ${speak(lang, 'job.invalid')}
       </Gather>
       <Redirect method="POST">/voice/process-speech</Redirect>
     `);
   },
 
+  // Job status menu: the caller picked one of their jobs
+  'POST /voice/job-select': async (req, body, state) => {
+    const { Digits: digit, CallSid: callSid } = body;
+    
+    if (!state) {
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
+    }
+    
+    const lang = state.lang || DEFAULT_LANG;
+    
+    // 0 - back to the conversation
+    if (digit === '0') {
+      delete state.jobMenu;
+      return twiml(`
+        ${speak(lang, 'query.continue')}
+        ${listen(lang, callSid)}
+      `);
+    }
+    
+    const index = parseInt(digit, 10) - 1;
+    const job = state.jobMenu?.[index];
+    if (!job) {
+      return jobListTwiml(state, callSid, lang, speak(lang, 'jobs.invalid'));
+    }
+    
+    state.selectedJob = index;
+    logCall('job_status_selected', { callerNumber: state.callerNumber, id: job.id, status: job.status });
+    return jobDetailTwiml(callSid, lang, job);
+  },
+
+  // Job detail: 1 cancels an open job or repeats a finished one's answer
+  'POST /voice/job-action': async (req, body, state) => {
+    const { Digits: digit, CallSid: callSid } = body;
+    
+    if (!state) {
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
+    }
+    
+    const lang = state.lang || DEFAULT_LANG;
+    const job = state.jobMenu?.[state.selectedJob];
+    
+    if (!job || digit !== '1') {
+      return jobListTwiml(state, callSid, lang);
+    }
+    
+    // Finished: 1 repeats the answer
+    if (job.status === 'delivered' || job.status === 'failed') {
+      return jobDetailTwiml(callSid, lang, job);
+    }
+    
+    // Open: 1 cancels it, if no worker has started on it
+    const result = jobStatus.cancel(state.callerNumber, job.id);
+    logCall('job_cancel', { callerNumber: state.callerNumber, id: job.id, result });
+    const outcome = { cancelled: 'jobs.cancelled', running: 'jobs.cannotCancel', missing: 'jobs.invalid' }[result];
+    return jobListTwiml(state, callSid, lang, speak(lang, outcome));
+  },
+
+  // Answer webhook for calls placed via /api/outbound-call
+  'POST /voice/outbound-answer': async (req, body, state) => {
+    const { CallSid: callSid, AnsweredBy: answeredBy } = body;
+    
+    if (!state?.outbound) {
+      return twiml(`${speak(DEFAULT_LANG, 'call.sessionError')}<Hangup/>`);
+    }
+    
+    logCall('outbound_answered', { callSid, callerNumber: state.callerNumber, requirePin: state.requirePin, answeredBy });
+    
+    // Answering machine (only detected for voicemail calls): leave the
+    // message after the beep - nobody is there to enter a PIN
+    if (state.voicemail && /^machine/.test(answeredBy || '')) {
+      await outboundCaller.recordOutcome(callSid, 'voicemail');
+      await endCall(callSid);
+      return twiml(`
+        ${say(state.lang, escapeXml(cleanForTTS(state.outboundMessage)))}
+        ${speak(state.lang, 'call.goodbye')}
+        <Hangup/>
+      `);
+    }
+    
+    if (state.requirePin) {
+      return twiml(`
+        <Gather input="dtmf" numDigits="6" action="/voice/verify-pin" method="POST" timeout="10">
+          ${speak(state.lang, state.oneTimeCode ? 'pin.outboundCodePrompt' : 'pin.outboundPrompt', { name: state.name })}
+        </Gather>
+        ${speak(state.lang, 'call.noInput')}
+        <Hangup/>
+      `);
+    }
+    
+    return outboundMessageTwiml(state, callSid);
+  },
+
+  // Place an agent-initiated call (Bearer token: config.outbound.apiToken)
+  'POST /api/outbound-call': async (req, body) => {
+    if (!isApiAuthorized(req, config.outbound?.apiToken || process.env.OUTBOUND_API_TOKEN)) {
+      logCall('outbound_unauthorized', { ip: req.socket.remoteAddress });
+      return { status: 401, body: { error: 'Unauthorized' } };
+    }
+    
+    const result = await outboundCaller.placeCall({
+      to: body.to,
+      message: body.message,
+      requirePin: body.requirePin,
+      oneTimeCode: body.oneTimeCode,
+      voicemail: body.voicemail,
+      converse: body.converse,
+      lang: body.lang
+    });
+    
+    if (!result.success) {
+      logCall('outbound_error', { to: body.to, status: result.status, error: result.error });
+      return { status: result.status, body: { error: result.error } };
+    }
+    
+    logCall('outbound_call_placed', { to: body.to, callSid: result.callSid });
+    return { status: 200, body: { callSid: result.callSid, status: result.status } };
+  },
+
+  // Outcome of a call placed above: calling / delivered / voicemail / failed
+  'GET /api/outbound-call': async (req) => {
+    if (!isApiAuthorized(req, config.outbound?.apiToken || process.env.OUTBOUND_API_TOKEN)) {
+      return { status: 401, body: { error: 'Unauthorized' } };
+    }
+    
+    const callSid = new URL(req.url, 'http://localhost').searchParams.get('callSid');
+    const outcome = await outboundCaller.getOutcome(callSid);
+    if (!outcome) {
+      return { status: 404, body: { error: `Unknown call: ${callSid}` } };
+    }
+    return { status: 200, body: outcome };
+  },
+
+  // Twilio call status callback: release resources once the call is over
+  'POST /voice/status': async (req, body) => {
+    const { CallSid: callSid, CallStatus: status } = body;
+    
+    if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(status)) {
+      await outboundCaller.callEnded(callSid, status);
+      await endCall(callSid);
+      logCall('call_ended', { callSid, status });
+    }
+    
+    return twiml('');
+  },
+
   'GET /health': async () => {
-    return JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() });
+    return JSON.stringify({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      ...(mediaStreams && { stt: mediaStreams.health.snapshot() })
+    });
   }
 };
 
-// Process with Gateway (tools enabled) with timeout handling
+// Process with Gateway (tools enabled) with timeout handling. Resolves to
+// { reply, turnId } - turnId is the history entry of the reply, null for
+// error messages, which are not added to the history - or to
+// { needsRetry, message } after the first timeout
 async function processWithAgent(userMessage, state) {
   const gatewayUrl = config.agent?.gatewayUrl || 'http://localhost:18789';
   const gatewayToken = config.agent?.gatewayToken;
@@ -736,22 +1310,14 @@ async function processWithAgent(userMessage, state) {
   
   if (!gatewayToken) {
     logCall('agent_error', { error: 'Gateway token not configured' });
-    return lang === 'es' 
-      ? "El agente no está configurado."
-      : "The agent is not configured.";
+    return { reply: t(lang, 'agent.notConfigured'), turnId: null };
   }
   
-  const systemPrompt = `You are Winston Scott, a professional AI assistant on a VOICE CALL with ${state.name}.
-Time: ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })}.
-
-VOICE CALL RULES:
-1. Respond ONLY in ${lang === 'es' ? 'SPANISH' : 'ENGLISH'}
-2. Keep responses under 50 words - this is voice
-3. NO markdown, NO lists, NO formatting
-4. Be conversational and natural
-5. NEVER say you will "call back" - you cannot make calls
-
-You have access to tools and can look up information. Use them when needed.`;
+  const systemPrompt = buildSystemPrompt(config, 'voice', {
+    callerName: state.name,
+    callerNumber: state.callerNumber,
+    lang
+  });
 
   // Helper function to call Gateway with timeout
   async function callGateway(timeoutMs) {
@@ -767,12 +1333,9 @@ You have access to tools and can look up information. Use them when needed.`;
         },
         signal: controller.signal,
         body: JSON.stringify({
-          model: 'groq/llama-3.3-70b-versatile',
+          model: getAgentModel(config),
           max_tokens: 200,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userMessage }
-          ]
+          messages: buildMessages(systemPrompt, state, userMessage)
         })
       });
       
@@ -801,7 +1364,9 @@ You have access to tools and can look up information. Use them when needed.`;
   
   if (result.success && result.reply) {
     logCall('agent_response', { attempt: 1, response: result.reply.substring(0, 100) });
-    return result.reply;
+    appendTurn(state, 'user', userMessage, historyLimits);
+    const turnId = appendTurn(state, 'assistant', result.reply, historyLimits);
+    return { reply: result.reply, turnId };
   }
   
   // First timeout - mark state and return "processing" message
@@ -817,17 +1382,13 @@ You have access to tools and can look up information. Use them when needed.`;
     // Return processing message - will trigger second attempt via TwiML
     return { 
       needsRetry: true, 
-      message: lang === 'es' 
-        ? "Estoy procesando tu solicitud, por favor espera un momento."
-        : "I'm processing your request, please wait a moment."
+      message: t(lang, 'agent.processing')
     };
   }
   
   // Non-timeout error
   logCall('agent_error', { error: result.error });
-  return lang === 'es'
-    ? "Lo siento, hubo un error. Intenta de nuevo."
-    : "Sorry, there was an error. Try again.";
+  return { reply: t(lang, 'agent.error'), turnId: null };
 }
 
 // Second attempt after "processing" message
@@ -841,8 +1402,11 @@ async function retryWithAgent(state) {
     return { success: false };
   }
   
-  const systemPrompt = `You are Winston Scott on a VOICE CALL with ${state.name}.
-Respond ONLY in ${lang === 'es' ? 'SPANISH' : 'ENGLISH'}. Under 50 words. No markdown.`;
+  const systemPrompt = buildSystemPrompt(config, 'retry', {
+    callerName: state.name,
+    callerNumber: state.callerNumber,
+    lang
+  });
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), RETRY_TIMEOUT_MS);
@@ -858,12 +1422,9 @@ Respond ONLY in ${lang === 'es' ? 'SPANISH' : 'ENGLISH'}. Under 50 words. No mar
       },
       signal: controller.signal,
       body: JSON.stringify({
-        model: 'groq/llama-3.3-70b-versatile',
+        model: getAgentModel(config),
         max_tokens: 200,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: state.pendingQuery.message }
-        ]
+        messages: buildMessages(systemPrompt, state, state.pendingQuery.message)
       })
     });
     
@@ -874,6 +1435,8 @@ Respond ONLY in ${lang === 'es' ? 'SPANISH' : 'ENGLISH'}. Under 50 words. No mar
       const reply = data.choices?.[0]?.message?.content;
       if (reply) {
         logCall('agent_retry_success', { response: reply.substring(0, 100) });
+        appendTurn(state, 'user', state.pendingQuery.message, historyLimits);
+        appendTurn(state, 'assistant', reply, historyLimits);
         delete state.pendingQuery;
         return { success: true, reply };
       }
@@ -901,7 +1464,30 @@ const server = http.createServer(async (req, res) => {
     }
     
     const body = req.method === 'POST' ? await parseBody(req) : {};
-    const result = await handler(req, body);
+    
+    // Every Twilio webhook must carry a valid X-Twilio-Signature
+    if (url.pathname.startsWith('/voice/') && isSignatureValidationEnabled() && !verifyTwilioSignature(req, body)) {
+      logCall('signature_invalid', { route: routeKey, callSid: body.CallSid, from: body.From });
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
+      return;
+    }
+    
+    // Load the caller's session for SESSION_ROUTES and save it afterwards
+    const callSid = body.CallSid;
+    const state = callSid && SESSION_ROUTES.has(routeKey) ? await sessions.get(callSid) : null;
+    const result = await handler(req, body, state);
+    
+    if (state && await sessions.has(callSid)) {
+      await sessions.set(callSid, state);
+    }
+    
+    // API routes return { status, body }; Twilio routes return TwiML
+    if (typeof result === 'object') {
+      res.writeHead(result.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+      return;
+    }
     
     const contentType = routeKey.includes('/health') ? 'application/json' : 'text/xml';
     res.writeHead(200, { 'Content-Type': contentType });
@@ -910,20 +1496,60 @@ const server = http.createServer(async (req, res) => {
   } catch (error) {
     console.error('Error:', error);
     res.writeHead(500);
-    res.end(twiml(`<Say voice="alice">An error occurred. Goodbye.</Say><Hangup/>`));
+    res.end(twiml(`${speak(DEFAULT_LANG, 'call.error')}<Hangup/>`));
   }
 });
 
+// Reap abandoned sessions (callers who hung up without saying goodbye)
+setInterval(async () => {
+  try {
+    const expired = await sessions.reap();
+    for (const callSid of expired) {
+      rateLimiter.endCall(callSid);
+      gatherOnlyCalls.delete(callSid);
+    }
+    if (expired.length > 0) {
+      logCall('sessions_reaped', { count: expired.length });
+    }
+  } catch (error) {
+    logCall('session_reap_error', { error: error.message });
+  }
+}, 60000).unref();
+
 const PORT = process.env.PORT || config.port || 3001;
 server.listen(PORT, () => {
   console.log(`Twilio Voice Webhook Server running on port ${PORT}`);
   console.log(`Allowed numbers: ${config.allowedNumbers.length}`);
+  const plaintextPins = config.allowedNumbers.filter(n => n.pin && !n.pinHash).length;
+  if (plaintextPins > 0) {
+    console.log(`WARNING: ${plaintextPins} number(s) use a plaintext PIN. Run: npm run admin -- migrate-pins`);
+  }
   console.log(`Voice notes dir: ${config.voiceNotes?.saveDir || './voice-notes'}`);
+  console.log(`Session store: ${config.sessions?.store || 'file'}`);
+  if (mediaStreams) {
+    console.log(`Media streams: ${getProviderChain(config).join(' > ')} via ${getStreamUrl()} (falls back to Gather)`);
+    if (config.mediaStream.bidirectional) {
+      console.log(`Media stream replies: ${config.ttsProvider} with barge-in`);
+    }
+  }
+  for (const [lang, keys] of Object.entries(messages.missing)) {
+    console.log(`WARNING: ${keys.length} message(s) missing for "${lang}" (falling back): ${keys.join(', ')}`);
+  }
+  if (!isSignatureValidationEnabled()) {
+    console.log(`WARNING: Twilio signature validation is DISABLED (security.validateSignature=false)`);
+  }
   console.log(`Endpoints:`);
   console.log(`  POST /voice/incoming - Webhook for incoming calls`);
   console.log(`  POST /voice/verify-pin - PIN verification`);
   console.log(`  POST /voice/select-language - Language/mode selection`);
   console.log(`  POST /voice/process-speech - Speech processing`);
+  console.log(`  POST /voice/stream-fallback - Gather when a media stream fails`);
   console.log(`  POST /voice/save-voicenote - Save voice recording`);
+  console.log(`  POST /voice/job-select - Job status menu selection`);
+  console.log(`  POST /voice/job-action - Cancel or replay a job`);
+  console.log(`  POST /voice/status - Call status callback`);
+  console.log(`  POST /voice/outbound-answer - Answer webhook for outbound calls`);
+  console.log(`  POST /api/outbound-call - Place an outbound call (Bearer token)`);
+  console.log(`  GET /api/outbound-call?callSid= - Outcome of an outbound call (Bearer token)`);
   console.log(`  GET /health - Health check`);
 });
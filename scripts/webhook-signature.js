@@ -0,0 +1,59 @@
+/**
+ * Outgoing Webhook Signatures
+ *
+ * Answers POSTed to an asyncResponse webhook are signed so the receiver
+ * can tell they came from us and were not replayed. The signature is
+ * HMAC-SHA256 of the timestamp, a dot and the raw request body, keyed
+ * with the shared secret:
+ *
+ *   X-Voice-Timestamp: 1767225600
+ *   X-Voice-Signature: sha256=<hex HMAC(secret, "1767225600.<body>")>
+ *
+ * Receivers should verify against the raw body (before JSON parsing)
+ * and reject timestamps outside a few minutes of their own clock.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+/**
+ * Compute the X-Voice-Signature value for a body sent at timestamp
+ * (unix seconds)
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`, 'utf8')
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check a received signature; false if it does not match or the
+ * timestamp is more than toleranceSec away from now
+ */
+function verifyPayload(secret, signature, timestamp, body, options = {}) {
+  if (!secret || !signature || !timestamp) {
+    return false;
+  }
+
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+  const tolerance = options.toleranceSec ?? DEFAULT_TOLERANCE_SEC;
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now - Number(timestamp)) > tolerance) {
+    return false;
+  }
+
+  return safeEqual(signPayload(secret, timestamp, body), signature);
+}
+
+module.exports = {
+  signPayload,
+  verifyPayload,
+};